@@ -20,6 +20,146 @@ const vscode = require('vscode');
 const { LanguageClient, TransportKind } = require('vscode-languageclient/node');
 
 let client;
+let clientReady;
+
+// ------------------------------
+// Präprozessor-Ausgabe (pearl-preprocessed:)
+// ------------------------------
+
+const PREPROCESSED_SCHEME = 'pearl-preprocessed';
+
+// URI der Präprozessor-Ausgabe -> { text, segments } der letzten Serverantwort
+const preprocessedResults = new Map();
+const preprocessedChanged = new vscode.EventEmitter();
+const refreshTimers = new Map();
+
+function preprocessedUriFor(sourceUri) {
+  return vscode.Uri.from({
+    scheme: PREPROCESSED_SCHEME,
+    path: sourceUri.path,
+    query: sourceUri.toString()
+  });
+}
+
+function sourceUriOf(preprocessedUri) {
+  return vscode.Uri.parse(preprocessedUri.query);
+}
+
+function toRange(range) {
+  return new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+}
+
+const preprocessedContentProvider = {
+  onDidChange: preprocessedChanged.event,
+  async provideTextDocumentContent(uri) {
+    await clientReady;
+    const result = await client.sendRequest('pearl/preprocessedSource', { uri: sourceUriOf(uri).toString() });
+    preprocessedResults.set(uri.toString(), result);
+    return result.text;
+  }
+};
+
+/**
+ * Herkunft der Stelle in der Präprozessor-Ausgabe (sonst das erste Token der Zeile)
+ */
+function segmentAtOutput(uri, position) {
+  const result = preprocessedResults.get(uri.toString());
+  if (!result) return null;
+  return result.segments.find(segment => toRange(segment.range).contains(position))
+    || result.segments.find(segment => segment.range.start.line === position.line)
+    || null;
+}
+
+/**
+ * Erstes Token der Präprozessor-Ausgabe zu einer Stelle im Original
+ */
+function segmentAtSource(result, sourceUri, position) {
+  const fromSource = result.segments.filter(segment => segment.uri === sourceUri.toString());
+  return fromSource.find(segment => toRange(segment.sourceRange).contains(position))
+    || fromSource.find(segment => segment.sourceRange.start.line === position.line)
+    || fromSource.find(segment => segment.sourceRange.start.line > position.line)
+    || null;
+}
+
+async function showPreprocessedSource() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.languageId !== 'pearl' || editor.document.uri.scheme !== 'file') {
+    vscode.window.showInformationMessage('Kein PEARL-Dokument aktiv.');
+    return;
+  }
+  const uri = preprocessedUriFor(editor.document.uri);
+  let doc = await vscode.workspace.openTextDocument(uri);
+  doc = await vscode.languages.setTextDocumentLanguage(doc, 'pearl');
+  const preprocessedEditor = await vscode.window.showTextDocument(doc, {
+    viewColumn: vscode.ViewColumn.Beside,
+    preserveFocus: true,
+    preview: true
+  });
+
+  // Cursorposition des Originals in der Ausgabe zeigen
+  const result = preprocessedResults.get(uri.toString());
+  const segment = result && segmentAtSource(result, editor.document.uri, editor.selection.active);
+  if (segment) {
+    const range = toRange(segment.range);
+    preprocessedEditor.selection = new vscode.Selection(range.start, range.start);
+    preprocessedEditor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+  }
+}
+
+async function revealOriginalSource() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.uri.scheme !== PREPROCESSED_SCHEME) return;
+  const segment = segmentAtOutput(editor.document.uri, editor.selection.active);
+  if (!segment) return;
+  const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(segment.uri));
+  await vscode.window.showTextDocument(doc, {
+    viewColumn: vscode.ViewColumn.One,
+    selection: toRange(segment.sourceRange)
+  });
+}
+
+function registerPreprocessedView(context) {
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(PREPROCESSED_SCHEME, preprocessedContentProvider),
+
+    // Strg+Klick / F12 in der Ausgabe springt an die Originalstelle
+    vscode.languages.registerDefinitionProvider({ scheme: PREPROCESSED_SCHEME }, {
+      provideDefinition(document, position) {
+        const segment = segmentAtOutput(document.uri, position);
+        return segment ? new vscode.Location(vscode.Uri.parse(segment.uri), toRange(segment.sourceRange)) : null;
+      }
+    }),
+
+    // Herkunft (Datei, Zeile, Makro) im Hover
+    vscode.languages.registerHoverProvider({ scheme: PREPROCESSED_SCHEME }, {
+      provideHover(document, position) {
+        const segment = segmentAtOutput(document.uri, position);
+        if (!segment || !toRange(segment.range).contains(position)) return null;
+        const file = vscode.workspace.asRelativePath(vscode.Uri.parse(segment.uri));
+        const origin = `${file}:${segment.sourceRange.start.line + 1}`;
+        return new vscode.Hover(segment.macro ? `Aus Makro **${segment.macro}** (${origin})` : origin, toRange(segment.range));
+      }
+    }),
+
+    vscode.commands.registerCommand('pearl.showPreprocessedSource', showPreprocessedSource),
+    vscode.commands.registerCommand('pearl.revealOriginalSource', revealOriginalSource),
+
+    // Ausgabe nach Änderungen am Original neu anfordern
+    vscode.workspace.onDidChangeTextDocument(event => {
+      const uri = preprocessedUriFor(event.document.uri);
+      const key = uri.toString();
+      if (!preprocessedResults.has(key)) return;
+      clearTimeout(refreshTimers.get(key));
+      refreshTimers.set(key, setTimeout(() => {
+        refreshTimers.delete(key);
+        preprocessedChanged.fire(uri);
+      }, 500));
+    }),
+    vscode.workspace.onDidCloseTextDocument(document => {
+      preprocessedResults.delete(document.uri.toString());
+    })
+  );
+}
 
 function activate(context) {
   const serverModule = context.asAbsolutePath(
@@ -41,7 +181,10 @@ function activate(context) {
   const clientOptions = {
     documentSelector: [{ scheme: 'file', language: 'pearl' }],
     synchronize: {
-      fileEvents: vscode.workspace.createFileSystemWatcher('**/*.{p,P}')
+      fileEvents: [
+        vscode.workspace.createFileSystemWatcher('**/*.{p,P}'),
+        vscode.workspace.createFileSystemWatcher('**/pearl-builtins.json')   // Katalog vordefinierter Prozeduren
+      ]
     },
     outputChannelName: 'PEARL LSP Debug'
   };
@@ -53,7 +196,9 @@ function activate(context) {
     clientOptions
   );
 
-  client.start();
+  clientReady = client.start();
+
+  registerPreprocessedView(context);
 }
 
 function deactivate() {
@@ -0,0 +1,1032 @@
+/*
+ * Copyright (C) 2025, 2026 Jan Bartels
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------------
+// Parser (PEARL-90 / RTOS-UH)
+// ------------------------------
+//
+// Rekursiv absteigender Parser auf der Tokenliste von tokenize() (inkl.
+// Include-Dateien und Makro-Expansionen). Ergebnis ist ein AST, jeder Knoten hat
+//
+//   { type, uri, startOffset, endUri, endOffset, ... }
+//
+// Verweise auf Tokens stehen nur in Feldern, deren Name auf "Token" endet
+// (z.B. Name.token, IfStatement.elseToken); sie werden von walkAst() nicht besucht.
+//
+// Syntaxfehler werden gesammelt; danach wird bis zum nächsten ';' bzw. bis zum
+// nächsten Blockende synchronisiert.
+
+// Schlüsselwörter, die eine Anweisungsfolge beenden
+const BLOCK_TERMINATORS = ['END', 'FIN', 'ELSE', 'ALT', 'OUT', 'MODEND'];
+
+// Schlüsselwörter, vor denen bei der Fehlerbehandlung angehalten wird
+const SYNC_KEYWORDS = [...BLOCK_TERMINATORS, 'MODULE', 'SHELLMODULE', 'SYSTEM', 'PROBLEM'];
+
+const UNEXPECTED_TERMINATOR_MESSAGES = {
+  END: 'Unerwartetes END ohne passenden Block (TASK/PROC/REPEAT/BEGIN).',
+  ELSE: 'Unerwartetes ELSE ohne passenden Block (IF).',
+  FIN: 'Unerwartetes FIN ohne passenden Block (IF/CASE).',
+  ALT: 'Unerwartetes ALT ohne passenden Block (CASE).',
+  OUT: 'Unerwartetes OUT ohne passenden Block (CASE).',
+  MODEND: 'Unerwartetes MODEND ohne passenden Block (MODULE/SHELLMODULE).'
+};
+
+const DECLARATION_KEYWORDS = ['DCL', 'DECLARE', 'SPC', 'SPECIFY'];
+const PROCEDURE_KEYWORDS = ['PROC', 'PROCEDURE', 'ENTRY', 'TASK'];
+const LOOP_KEYWORDS = ['FOR', 'FROM', 'BY', 'TO', 'WHILE', 'REPEAT'];
+const SCHEDULE_KEYWORDS = ['AT', 'AFTER', 'ALL', 'EVERY', 'WHEN', 'UNTIL', 'DURING'];
+const TASK_STATEMENT_KEYWORDS = ['ACTIVATE', 'TERMINATE', 'SUSPEND', 'CONTINUE', 'RESUME', 'PREVENT'];
+const SYNCHRONIZATION_KEYWORDS = ['REQUEST', 'RELEASE', 'SEMASET', 'ENTER', 'LEAVE', 'RESERVE', 'FREE'];
+const IO_KEYWORDS = ['OPEN', 'CLOSE', 'PUT', 'GET', 'READ', 'WRITE', 'TAKE', 'SEND', 'CONVERT'];
+const INIT_KEYWORDS = ['INIT', 'INITIAL', 'PRESET'];
+const DURATION_UNITS = ['HRS', 'MIN', 'SEC'];
+
+// Dyadische Operatoren nach Rang, schwächste Bindung zuerst
+const BINARY_OPERATOR_LEVELS = [
+  ['OR', 'EXOR'],
+  ['AND'],
+  ['==', '/=', '=', '<', '>', '<=', '>=', 'EQ', 'NE', 'LT', 'GT', 'LE', 'GE', 'IS', 'ISNT'],
+  ['CAT', 'CSHIFT', 'SHIFT', '<>', '><'],
+  ['+', '-'],
+  ['*', '/', '//', 'REM'],
+  ['**', 'FIT', 'LWB', 'UPB']
+];
+
+// Monadische Operatoren
+const UNARY_OPERATORS = [
+  '+', '-', 'NOT', 'ABS', 'SIGN', 'ENTIER', 'ROUND', 'TOBIT', 'TOCHAR', 'TOFIXED', 'TOFLOAT',
+  'SIZEOF', 'LWB', 'UPB', 'CONT', 'TRY',
+  'SQRT', 'SIN', 'COS', 'TAN', 'TANH', 'ATAN', 'EXP', 'LN'
+];
+
+/**
+ * Token, die der Parser sieht: keine Kommentare, inaktiven Bereiche, Fehler
+ * oder Präprozessor-Tokens (bei Makros folgen die expandierten Tokens).
+ */
+function isSyntaxToken(t) {
+  return t.type !== 'comment' && t.type !== 'inactive' && t.type !== 'error' && t.type !== 'preproc';
+}
+
+function isAstNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string' && /^[A-Z]/.test(value.type);
+}
+
+class Parser {
+  constructor(tokens, options = {}) {
+    this.tokens = tokens.filter(isSyntaxToken);
+    this.pos = 0;
+    this.errors = [];
+    this.statementKeywords = options.statements || null;   // Set; ohne Angabe keine Prüfung
+    this.dialectName = options.dialect || '';
+  }
+
+  // ---------------- Token-Zugriff ----------------
+
+  peek(ahead = 0) {
+    return this.tokens[this.pos + ahead] || null;
+  }
+
+  next() {
+    return this.tokens[this.pos++] || null;
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1] || null;
+  }
+
+  isKeyword(t, values) {
+    return !!t && t.type === 'keyword' && (values === undefined || values.includes(t.value));
+  }
+
+  isSymbol(t, value) {
+    return !!t && t.type === 'symbol' && t.value === value;
+  }
+
+  isWord(t) {
+    return !!t && (t.type === 'identifier' || t.type === 'keyword' || t.type === 'type' || t.type === 'operator')
+      && /^[A-Za-z]/.test(t.value);
+  }
+
+  acceptSymbol(value) {
+    if (this.isSymbol(this.peek(), value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  acceptKeyword(values) {
+    if (this.isKeyword(this.peek(), values)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  // ---------------- Fehlerbehandlung ----------------
+
+  error(message, token) {
+    const t = token || this.peek() || this.previous();
+    if (!t) return;
+    const last = this.errors[this.errors.length - 1];
+    if (last && last.token === t) return;   // Folgefehler am selben Token unterdrücken
+    this.errors.push({ message, token: t });
+  }
+
+  /**
+   * Bis hinter das nächste ';' bzw. vor das nächste Blockende überspringen
+   */
+  synchronize() {
+    let parenLevel = 0;
+    while (this.peek()) {
+      const t = this.peek();
+      if (parenLevel === 0 && this.isKeyword(t, SYNC_KEYWORDS)) return;
+      this.next();
+      if (t.type === 'symbol') {
+        if (t.value === '(' || t.value === '[') parenLevel++;
+        else if ((t.value === ')' || t.value === ']') && parenLevel > 0) parenLevel--;
+        else if (t.value === ';' && parenLevel === 0) return;
+      }
+    }
+  }
+
+  expectSemicolon() {
+    if (this.acceptSymbol(';')) return true;
+    this.error("';' erwartet.");
+    this.synchronize();
+    return false;
+  }
+
+  /**
+   * Tokens bis ',' oder ';' (bzw. Ende der Klammer) auf gleicher Klammerebene überspringen
+   */
+  skipBalanced(stopSymbols) {
+    let parenLevel = 0;
+    while (this.peek()) {
+      const t = this.peek();
+      if (t.type === 'symbol') {
+        if (parenLevel === 0 && stopSymbols.includes(t.value)) return;
+        if (t.value === '(' || t.value === '[') parenLevel++;
+        else if (t.value === ')' || t.value === ']') {
+          if (parenLevel === 0) return;
+          parenLevel--;
+        }
+      }
+      if (parenLevel === 0 && this.isKeyword(t, SYNC_KEYWORDS)) return;
+      this.next();
+    }
+  }
+
+  // ---------------- Knoten ----------------
+
+  startNode(type, token) {
+    const t = token || this.peek() || this.previous();
+    return {
+      type,
+      uri: t ? t.uri : null,
+      startOffset: t ? t.startOffset : 0,
+      endUri: t ? t.uri : null,
+      endOffset: t ? t.startOffset : 0
+    };
+  }
+
+  finishNode(node) {
+    const last = this.previous();
+    if (last && (last.uri !== node.uri || last.endOffset >= node.startOffset)) {
+      node.endUri = last.uri;
+      node.endOffset = last.endOffset;
+    }
+    return node;
+  }
+
+  nameNode(token) {
+    const node = this.startNode('Name', token);
+    node.name = token.value;
+    node.token = token;
+    node.endOffset = token.endOffset;
+    return node;
+  }
+
+  expectName(what) {
+    const t = this.peek();
+    if (t && t.type === 'identifier') {
+      this.next();
+      return this.nameNode(t);
+    }
+    this.error(`${what} erwartet.`);
+    return null;
+  }
+
+  // ---------------- Programmstruktur ----------------
+
+  parseProgram() {
+    const program = this.startNode('Program');
+    program.body = [];
+
+    while (this.peek()) {
+      const t = this.peek();
+      if (this.isKeyword(t, ['MODULE', 'SHELLMODULE'])) {
+        program.body.push(this.parseModule());
+      }
+      else if (!this.skipUnexpectedTerminator()) {
+        this.parseStatementInto(program.body);
+      }
+    }
+    return this.finishNode(program);
+  }
+
+  /**
+   * END/FIN/ELSE/... ohne passenden Block melden und überspringen
+   */
+  skipUnexpectedTerminator() {
+    const t = this.peek();
+    if (!this.isKeyword(t, BLOCK_TERMINATORS)) return false;
+    this.error(UNEXPECTED_TERMINATOR_MESSAGES[t.value], t);
+    this.next();
+    if (t.value !== 'ALT' && t.value !== 'OUT' && t.value !== 'ELSE') this.acceptSymbol(';');
+    return true;
+  }
+
+  parseStatementInto(body) {
+    const pos = this.pos;
+    const statement = this.parseStatement();
+    if (statement) body.push(statement);
+    if (this.pos === pos) this.next();   // kein Fortschritt: Token überspringen
+  }
+
+  parseModule() {
+    const node = this.startNode('Module');
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    node.name = this.expectName('Modulname');
+    this.expectSemicolon();
+
+    node.body = [];     // vor dem ersten SYSTEM/PROBLEM
+    node.parts = [];
+    let part = null;
+
+    const finishPart = () => {
+      if (part) this.finishNode(part);
+    };
+
+    for (;;) {
+      const t = this.peek();
+      if (!t) {
+        this.error(`Block '${node.keyword}' wird nicht geschlossen. Erwartet MODEND.`, node.keywordToken);
+        node.terminatorToken = null;
+        break;
+      }
+      if (this.isKeyword(t, ['MODEND'])) {
+        finishPart();
+        node.endToken = this.next();
+        this.expectSemicolon();
+        break;
+      }
+      if (this.isKeyword(t, ['SYSTEM', 'PROBLEM'])) {
+        finishPart();
+        part = this.startNode(t.value === 'SYSTEM' ? 'SystemPart' : 'ProblemPart');
+        part.body = [];
+        part.keywordToken = this.next();
+        this.expectSemicolon();
+        node.parts.push(part);
+        continue;
+      }
+      if (this.isKeyword(t, ['MODULE', 'SHELLMODULE'])) {
+        this.error(`Block '${node.keyword}' wird nicht geschlossen. Erwartet MODEND.`, node.keywordToken);
+        node.terminatorToken = t;
+        finishPart();
+        break;
+      }
+      if (this.skipUnexpectedTerminator()) continue;
+
+      const body = part ? part.body : node.body;
+      if (part && part.type === 'SystemPart') {
+        const pos = this.pos;
+        body.push(this.parseSystemDefinition());
+        if (this.pos === pos) this.next();
+      }
+      else {
+        this.parseStatementInto(body);
+      }
+    }
+    return this.finishNode(node);
+  }
+
+  /**
+   * SYSTEM-Teil: name: Gerät <-> Gerät ...;
+   */
+  parseSystemDefinition() {
+    const node = this.startNode('SystemDefinition');
+    if (this.peek() && this.peek().type === 'identifier' && this.isSymbol(this.peek(1), ':')) {
+      node.name = this.nameNode(this.next());
+      this.next();
+    }
+    this.skipBalanced([';']);
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  // ---------------- Anweisungen ----------------
+
+  parseStatements() {
+    const body = [];
+    for (;;) {
+      const t = this.peek();
+      if (!t || this.isKeyword(t, SYNC_KEYWORDS)) break;
+      this.parseStatementInto(body);
+    }
+    return body;
+  }
+
+  parseStatement() {
+    const start = this.peek();
+    const labels = [];
+    while (this.peek() && this.peek().type === 'identifier' && this.isSymbol(this.peek(1), ':')) {
+      labels.push(this.nameNode(this.next()));
+      this.next();
+    }
+
+    let statement;
+    if (labels.length > 0 && this.isKeyword(this.peek(), PROCEDURE_KEYWORDS)) {
+      statement = this.parseProcedure();
+    }
+    else if (labels.length > 0 && (!this.peek() || this.isKeyword(this.peek(), SYNC_KEYWORDS))) {
+      // Label am Blockende
+      statement = this.startNode('EmptyStatement', start);
+    }
+    else {
+      statement = this.parseUnlabeledStatement();
+    }
+
+    if (statement && labels.length > 0) {
+      statement.labels = labels;
+      statement.uri = start.uri;
+      statement.startOffset = start.startOffset;
+    }
+    return statement;
+  }
+
+  parseUnlabeledStatement() {
+    const t = this.peek();
+
+    if (this.isSymbol(t, ';')) {
+      const node = this.startNode('EmptyStatement');
+      this.next();
+      return this.finishNode(node);
+    }
+
+    if (t.type === 'keyword') {
+      const kw = t.value;
+      if (kw === 'SYSTEM' || kw === 'PROBLEM') {
+        this.error(`Unerwartetes ${kw} ohne passenden Block (MODULE/SHELLMODULE).`, t);
+        this.next();
+        this.acceptSymbol(';');
+        return null;
+      }
+      if (this.statementKeywords && !this.statementKeywords.has(kw)) {
+        this.error(`Anweisung darf im Dialekt ${this.dialectName} nicht mit ${kw} beginnen.`, t);
+        this.synchronize();
+        return null;
+      }
+      if (DECLARATION_KEYWORDS.includes(kw)) return this.parseDeclaration();
+      if (kw === 'TYPE') return this.parseTypeDeclaration();
+      if (kw === 'IF') return this.parseIf();
+      if (kw === 'CASE') return this.parseCase();
+      if (LOOP_KEYWORDS.includes(kw)) return this.parseLoop();
+      if (kw === 'BEGIN') return this.parseBlock();
+      if (kw === 'GOTO') return this.parseGoto();
+      if (kw === 'RETURN') return this.parseReturn();
+      if (kw === 'EXIT') return this.parseExit();
+      if (kw === 'CALL') return this.parseCall();
+      if (SCHEDULE_KEYWORDS.includes(kw) || TASK_STATEMENT_KEYWORDS.includes(kw)) return this.parseTaskStatement();
+      if (SYNCHRONIZATION_KEYWORDS.includes(kw)) return this.parseSynchronizationStatement();
+      if (IO_KEYWORDS.includes(kw)) return this.parseIoStatement();
+      if (kw === 'MODULE' || kw === 'SHELLMODULE') return this.parseModule();
+      return this.parseGenericStatement();
+    }
+
+    return this.parseAssignmentOrCall();
+  }
+
+  /**
+   * name: PROC (...) RETURNS (...) GLOBAL; ... END;
+   * name: TASK PRIO n; ... END;
+   */
+  parseProcedure() {
+    const node = this.startNode('Procedure');
+    node.keywordToken = this.next();
+    node.kind = node.keywordToken.value === 'TASK' ? 'TASK' : 'PROC';
+    node.params = [];
+
+    if (node.kind === 'PROC' && this.isSymbol(this.peek(), '(')) {
+      node.params = this.parseParameterList();
+    }
+    // RETURNS, PRIO, GLOBAL, RESIDENT, ... bis zum Semikolon
+    this.skipBalanced([';']);
+    this.expectSemicolon();
+
+    node.body = this.parseStatements();
+    this.expectBlockEnd(node, ['END'], node.keywordToken.value);
+    return this.finishNode(node);
+  }
+
+  parseParameterList() {
+    const params = [];
+    this.next();   // '('
+    while (this.peek() && !this.isSymbol(this.peek(), ')')) {
+      const param = this.startNode('Parameter');
+      param.names = [];
+      if (this.isSymbol(this.peek(), '(')) {
+        this.next();
+        while (this.peek() && this.peek().type === 'identifier') {
+          param.names.push(this.nameNode(this.next()));
+          if (!this.acceptSymbol(',')) break;
+        }
+        if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+      }
+      else if (this.peek().type === 'identifier' && !this.isSymbol(this.peek(1), ',') && !this.isSymbol(this.peek(1), ')')) {
+        param.names.push(this.nameNode(this.next()));
+      }
+      this.skipBalanced([',']);
+      params.push(this.finishNode(param));
+      if (!this.acceptSymbol(',')) break;
+    }
+    if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+    return params;
+  }
+
+  /**
+   * Blockende (END/FIN/MODEND) mit Semikolon erwarten.
+   * Fehlt es, steht in terminatorToken das Token, an dem der Block endet (null am Dateiende).
+   */
+  expectBlockEnd(node, endKeywords, blockKeyword) {
+    const t = this.peek();
+    if (this.isKeyword(t, endKeywords)) {
+      node.endToken = this.next();
+      this.expectSemicolon();
+      return true;
+    }
+    this.error(`Block '${blockKeyword}' wird nicht geschlossen. Erwartet ${endKeywords[0]}.`, node.keywordToken);
+    node.terminatorToken = t;
+    return false;
+  }
+
+  /**
+   * DCL/SPC name [dims] type [INIT(...)] {, ...};
+   */
+  parseDeclaration() {
+    const node = this.startNode('Declaration');
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    node.items = [];
+
+    for (;;) {
+      const item = this.startNode('DeclarationItem');
+      item.names = [];
+      item.init = [];
+      if (this.acceptSymbol('(')) {
+        while (this.peek() && this.peek().type === 'identifier') {
+          item.names.push(this.nameNode(this.next()));
+          if (!this.acceptSymbol(',')) break;
+        }
+        if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+      }
+      else if (this.peek() && this.peek().type === 'identifier') {
+        item.names.push(this.nameNode(this.next()));
+      }
+      else {
+        this.error('Bezeichner erwartet.');
+        this.synchronize();
+        break;
+      }
+
+      // Typangabe bis zum Ende der Deklaration, INIT-Werte als Ausdrücke
+      while (this.peek() && !this.isSymbol(this.peek(), ',') && !this.isSymbol(this.peek(), ';')) {
+        if (this.isKeyword(this.peek(), INIT_KEYWORDS) && this.isSymbol(this.peek(1), '(')) {
+          this.next();
+          this.next();
+          item.init = this.parseExpressionList();
+          if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+          continue;
+        }
+        // einzelnes Token der Typangabe bzw. geklammerte Gruppe (Dimensionen, Länge) überspringen
+        if (this.isKeyword(this.peek(), SYNC_KEYWORDS)) break;
+        if (this.acceptSymbol('(')) {
+          this.skipBalanced([]);
+          this.acceptSymbol(')');
+        }
+        else {
+          this.next();
+        }
+      }
+      node.items.push(this.finishNode(item));
+
+      if (this.acceptSymbol(',')) continue;
+      this.expectSemicolon();
+      break;
+    }
+    return this.finishNode(node);
+  }
+
+  parseTypeDeclaration() {
+    const node = this.startNode('TypeDeclaration');
+    node.keywordToken = this.next();
+    node.name = this.expectName('Typname');
+    this.skipBalanced([';']);
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * IF expr THEN ... [ELSE ...] FIN;
+   */
+  parseIf() {
+    const node = this.startNode('IfStatement');
+    node.keywordToken = this.next();
+    node.condition = this.parseExpression();
+    if (!this.acceptKeyword(['THEN'])) {
+      this.error('THEN erwartet.');
+    }
+    node.thenBody = this.parseStatements();
+    node.elseBody = null;
+    if (this.isKeyword(this.peek(), ['ELSE'])) {
+      node.elseToken = this.next();
+      node.elseBody = this.parseStatements();
+    }
+    this.expectBlockEnd(node, ['FIN'], 'IF');
+    return this.finishNode(node);
+  }
+
+  /**
+   * CASE expr ALT [(werte)] ... ALT ... [OUT ...] FIN;
+   */
+  parseCase() {
+    const node = this.startNode('CaseStatement');
+    node.keywordToken = this.next();
+    node.selector = this.parseExpression();
+    node.alternatives = [];
+    node.outBody = null;
+
+    while (this.isKeyword(this.peek(), ['ALT'])) {
+      const alternative = this.startNode('CaseAlternative');
+      alternative.keywordToken = this.next();
+      alternative.values = [];
+      if (this.acceptSymbol('(')) {
+        do {
+          const start = this.peek();
+          const value = this.parseExpression();
+          if (this.acceptSymbol(':')) {
+            const range = this.startNode('Range', start);
+            range.from = value;
+            range.to = this.parseExpression();
+            alternative.values.push(this.finishNode(range));
+          }
+          else if (value) {
+            alternative.values.push(value);
+          }
+        } while (this.acceptSymbol(','));
+        if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+      }
+      alternative.body = this.parseStatements();
+      node.alternatives.push(this.finishNode(alternative));
+    }
+    if (this.isKeyword(this.peek(), ['OUT'])) {
+      node.outToken = this.next();
+      node.outBody = this.parseStatements();
+    }
+    this.expectBlockEnd(node, ['FIN'], 'CASE');
+    return this.finishNode(node);
+  }
+
+  /**
+   * [FOR i] [FROM a] [BY b] [TO c] [WHILE bed] REPEAT ... END;
+   */
+  parseLoop() {
+    const node = this.startNode('LoopStatement');
+    node.keywordToken = this.peek();
+    node.variable = null;
+    node.from = null;
+    node.by = null;
+    node.to = null;
+    node.while = null;
+
+    for (;;) {
+      const t = this.peek();
+      if (this.isKeyword(t, ['FOR'])) {
+        this.next();
+        node.variable = this.expectName('Laufvariable');
+      }
+      else if (this.isKeyword(t, ['FROM'])) {
+        this.next();
+        node.from = this.parseExpression();
+      }
+      else if (this.isKeyword(t, ['BY'])) {
+        this.next();
+        node.by = this.parseExpression();
+      }
+      else if (this.isKeyword(t, ['TO'])) {
+        this.next();
+        node.to = this.parseExpression();
+      }
+      else if (this.isKeyword(t, ['WHILE'])) {
+        this.next();
+        node.while = this.parseExpression();
+      }
+      else {
+        break;
+      }
+    }
+
+    node.repeatToken = this.acceptKeyword(['REPEAT']);
+    if (!node.repeatToken) {
+      this.error('REPEAT erwartet.');
+      this.synchronize();
+      return this.finishNode(node);
+    }
+    node.body = this.parseStatements();
+    this.expectBlockEnd(node, ['END'], 'REPEAT');
+    return this.finishNode(node);
+  }
+
+  parseBlock() {
+    const node = this.startNode('BlockStatement');
+    node.keywordToken = this.next();
+    node.body = this.parseStatements();
+    this.expectBlockEnd(node, ['END'], 'BEGIN');
+    return this.finishNode(node);
+  }
+
+  parseGoto() {
+    const node = this.startNode('GotoStatement');
+    node.keywordToken = this.next();
+    node.label = this.expectName('Label');
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  parseReturn() {
+    const node = this.startNode('ReturnStatement');
+    node.keywordToken = this.next();
+    node.value = this.isSymbol(this.peek(), ';') ? null : this.parseExpression();
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  parseExit() {
+    const node = this.startNode('ExitStatement');
+    node.keywordToken = this.next();
+    node.label = this.peek() && this.peek().type === 'identifier' ? this.nameNode(this.next()) : null;
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  parseCall() {
+    const node = this.startNode('CallStatement');
+    node.keywordToken = this.next();
+    node.explicit = true;
+    if (!this.peek() || this.peek().type !== 'identifier') {
+      this.error('Prozedurname erwartet.');
+      this.synchronize();
+      return this.finishNode(node);
+    }
+    node.callee = this.parsePostfix();
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * [AT/AFTER/ALL/EVERY/WHEN/UNTIL/DURING ...] ACTIVATE/TERMINATE/... [task] [PRIO n];
+   */
+  parseTaskStatement() {
+    const node = this.startNode('TaskStatement');
+    node.schedule = [];
+    while (this.isKeyword(this.peek(), SCHEDULE_KEYWORDS)) {
+      const clause = this.startNode('ScheduleClause');
+      clause.keyword = this.next().value;
+      clause.value = this.parseExpression();
+      node.schedule.push(this.finishNode(clause));
+    }
+
+    if (!this.isKeyword(this.peek(), TASK_STATEMENT_KEYWORDS)) {
+      this.error('Taskanweisung (ACTIVATE, TERMINATE, SUSPEND, CONTINUE, RESUME, PREVENT) erwartet.');
+      this.synchronize();
+      return this.finishNode(node);
+    }
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    node.task = this.peek() && this.peek().type === 'identifier' ? this.nameNode(this.next()) : null;
+    node.priority = null;
+    node.priorityToken = this.acceptKeyword(['PRIO', 'PRIORITY']);
+    if (node.priorityToken) {
+      node.priority = this.parseExpression();
+    }
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * REQUEST/RELEASE/SEMASET/ENTER/LEAVE/RESERVE/FREE operanden;
+   */
+  parseSynchronizationStatement() {
+    const node = this.startNode('SynchronizationStatement');
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    node.operands = this.parseExpressionList();
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * OPEN/CLOSE/PUT/GET/... daten [TO/FROM dation] [BY formate];
+   */
+  parseIoStatement() {
+    const node = this.startNode('IoStatement');
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    node.operands = this.isKeyword(this.peek(), ['TO', 'FROM', 'BY']) || this.isSymbol(this.peek(), ';')
+      ? []
+      : this.parseExpressionList();
+    node.dation = null;
+    if (this.acceptKeyword(['TO', 'FROM'])) {
+      node.dation = this.parseExpression();
+    }
+    const byToken = this.acceptKeyword(['BY']);
+    if (byToken) {
+      // Formate bzw. Open-Parameter werden nicht weiter zerlegt
+      const formats = this.startNode('FormatList');
+      formats.keywordToken = byToken;
+      this.skipBalanced([';']);
+      node.formats = this.finishNode(formats);
+    }
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * Sonstige Anweisungen mit Schlüsselwort (ENABLE, DISABLE, TRIGGER, ...): nur Struktur
+   */
+  parseGenericStatement() {
+    const node = this.startNode('KeywordStatement');
+    node.keywordToken = this.next();
+    node.keyword = node.keywordToken.value;
+    this.skipBalanced([';']);
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  /**
+   * ziel := ausdruck;   ziel = ausdruck;   name(...);
+   */
+  parseAssignmentOrCall() {
+    const start = this.peek();
+    if (start.type !== 'identifier') {
+      this.error(`Anweisung erwartet, gefunden '${start.value}'.`, start);
+      this.synchronize();
+      return null;
+    }
+
+    const target = this.parsePostfix();
+    const t = this.peek();
+    if (this.isSymbol(t, ':=') || (t && t.type === 'operator' && t.value === '=')) {
+      const node = this.startNode('Assignment', start);
+      node.target = target;
+      node.operator = this.next().value;
+      node.value = this.parseExpression();
+      this.expectSemicolon();
+      return this.finishNode(node);
+    }
+
+    const node = this.startNode('CallStatement', start);
+    node.explicit = false;
+    node.callee = target;
+    this.expectSemicolon();
+    return this.finishNode(node);
+  }
+
+  // ---------------- Ausdrücke ----------------
+
+  parseExpressionList() {
+    const list = [];
+    do {
+      const expression = this.parseExpression();
+      if (!expression) break;
+      list.push(expression);
+    } while (this.acceptSymbol(','));
+    return list;
+  }
+
+  parseExpression() {
+    return this.parseBinary(0);
+  }
+
+  isBinaryOperator(t, operators) {
+    return !!t && (t.type === 'operator' || t.type === 'keyword') && operators.includes(t.value);
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_OPERATOR_LEVELS.length) {
+      return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    while (left && this.isBinaryOperator(this.peek(), BINARY_OPERATOR_LEVELS[level])) {
+      const operatorToken = this.next();
+      const right = this.parseBinary(level + 1);
+      const node = this.startNode('Binary', operatorToken);
+      node.uri = left.uri;
+      node.startOffset = left.startOffset;
+      node.operator = operatorToken.value;
+      node.operatorToken = operatorToken;
+      node.left = left;
+      node.right = right;
+      left = this.finishNode(node);
+    }
+    return left;
+  }
+
+  isUnaryOperator(t) {
+    if (!t || !UNARY_OPERATORS.includes(t.value)) return false;
+    if (t.type === 'operator' || t.type === 'keyword') return true;
+    // SIN x, ABS x, ... (mit Klammer als Funktionsaufruf)
+    return t.type === 'identifier' && !this.isSymbol(this.peek(1), '(') && this.startsOperand(this.peek(1));
+  }
+
+  startsOperand(t) {
+    return !!t && (t.type === 'identifier' || t.type === 'number' || t.type === 'string' || t.type === 'bitstring');
+  }
+
+  parseUnary() {
+    const t = this.peek();
+    if (this.isUnaryOperator(t)) {
+      const node = this.startNode('Unary');
+      node.operatorToken = this.next();
+      node.operator = t.value;
+      node.operand = this.parseUnary();
+      return this.finishNode(node);
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expression = this.parsePrimary();
+    while (expression) {
+      const t = this.peek();
+      if (this.isSymbol(t, '(') && ['Name', 'Member', 'Call'].includes(expression.type)) {
+        // Funktionsaufruf oder Feldzugriff (erst über die Deklaration unterscheidbar)
+        const node = this.startNode('Call');
+        node.uri = expression.uri;
+        node.startOffset = expression.startOffset;
+        this.next();
+        node.callee = expression;
+        node.args = this.isSymbol(this.peek(), ')') ? [] : this.parseExpressionList();
+        if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+        expression = this.finishNode(node);
+      }
+      else if (this.isSymbol(t, '.') && this.isWord(this.peek(1))) {
+        // Strukturkomponente oder Zeichenauswahl (.CHAR(i))
+        const node = this.startNode('Member');
+        node.uri = expression.uri;
+        node.startOffset = expression.startOffset;
+        this.next();
+        node.object = expression;
+        node.memberToken = this.next();
+        node.member = node.memberToken.value;
+        expression = this.finishNode(node);
+      }
+      else {
+        break;
+      }
+    }
+    return expression;
+  }
+
+  parsePrimary() {
+    const t = this.peek();
+    if (!t || this.isSymbol(t, ';')) {
+      this.error('Ausdruck erwartet.');
+      return null;
+    }
+
+    if (t.type === 'number') {
+      // Uhrzeit hh:mm:ss
+      if (this.isSymbol(this.peek(1), ':') && this.peek(2) && this.peek(2).type === 'number'
+        && this.isSymbol(this.peek(3), ':') && this.peek(4) && this.peek(4).type === 'number') {
+        const node = this.startNode('Literal');
+        node.kind = 'clock';
+        node.value = [this.next(), this.next(), this.next(), this.next(), this.next()].map(x => x.value).join('');
+        return this.finishNode(node);
+      }
+      // Dauer n HRS n MIN n SEC
+      if (this.isKeyword(this.peek(1), DURATION_UNITS)) {
+        const node = this.startNode('Literal');
+        node.kind = 'duration';
+        const parts = [];
+        while (this.peek() && this.peek().type === 'number' && this.isKeyword(this.peek(1), DURATION_UNITS)) {
+          parts.push(`${this.next().value} ${this.next().value}`);
+        }
+        node.value = parts.join(' ');
+        return this.finishNode(node);
+      }
+
+      // Genauigkeit ist Teil des Zahl-Tokens: 123(31), 3.14E-10(23)
+      const node = this.startNode('Literal');
+      this.next();
+      const match = /^([^(]*)(?:\((\d+)\))?$/.exec(t.value);
+      node.value = t.value;
+      node.kind = /^[0-9]*\.|^[0-9]+E/i.test(match[1]) ? 'float' : 'fixed';
+      node.precision = match[2] !== undefined ? parseInt(match[2], 10) : null;
+      return this.finishNode(node);
+    }
+
+    if (t.type === 'string' || t.type === 'bitstring') {
+      const node = this.startNode('Literal');
+      this.next();
+      node.kind = t.type;
+      node.value = t.value;
+      return this.finishNode(node);
+    }
+
+    if (t.type === 'identifier') {
+      this.next();
+      return this.nameNode(t);
+    }
+
+    if (this.isKeyword(t, ['NIL'])) {
+      const node = this.startNode('Literal');
+      this.next();
+      node.kind = 'nil';
+      node.value = 'NIL';
+      return this.finishNode(node);
+    }
+
+    if (this.isSymbol(t, '(')) {
+      const node = this.startNode('Parenthesized');
+      this.next();
+      node.expression = this.parseExpression();
+      if (!this.acceptSymbol(')')) this.error("')' erwartet.");
+      return this.finishNode(node);
+    }
+
+    this.error(`Ausdruck erwartet, gefunden '${t.value}'.`, t);
+    return null;
+  }
+}
+
+/**
+ * Tokenliste parsen.
+ * options: { statements: Schlüsselwörter, mit denen eine Anweisung beginnen darf, dialect: Name }
+ * Liefert { ast, errors: [{ message, token }] }
+ */
+function parsePearl(tokens, options) {
+  const parser = new Parser(tokens, options);
+  const ast = parser.parseProgram();
+  return { ast, errors: parser.errors };
+}
+
+/**
+ * Alle Knoten in Dokumentreihenfolge besuchen (Tiefensuche, Eltern zuerst).
+ * visit(node, parent)
+ */
+function walkAst(node, visit, parent = null) {
+  if (!isAstNode(node)) return;
+  visit(node, parent);
+  for (const [key, value] of Object.entries(node)) {
+    if (key.endsWith('Token') || key === 'token') continue;
+    if (Array.isArray(value)) {
+      value.forEach(child => walkAst(child, visit, node));
+    }
+    else if (isAstNode(value)) {
+      walkAst(value, visit, node);
+    }
+  }
+}
+
+/**
+ * Innerster Knoten, der die Position enthält (oder null)
+ */
+function findNodeAt(ast, uri, offset) {
+  let found = null;
+  walkAst(ast, (node) => {
+    if (node.uri === uri && node.endUri === uri && node.startOffset <= offset && offset < node.endOffset) {
+      found = node;
+    }
+  });
+  return found;
+}
+
+module.exports = {
+  parsePearl,
+  walkAst,
+  findNodeAt
+};
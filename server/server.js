@@ -26,8 +26,13 @@ const {
   DidChangeConfigurationNotification,
   TextDocumentSyncKind,
   CompletionItemKind,
+  InsertTextFormat,
   DiagnosticSeverity,
-  DiagnosticTag
+  DiagnosticTag,
+  SymbolKind,
+  FileChangeType,
+  ResponseError,
+  ErrorCodes
 } = require('vscode-languageserver/node');
 
 const { fileURLToPath, pathToFileURL } = require('url');
@@ -36,6 +41,8 @@ const { TextDocument } = require('vscode-languageserver-textdocument');
 
 const path = require('path');
 
+const { parsePearl, walkAst, findNodeAt } = require('./parser');
+
 // Workspace-Unterstützung
 let workspaceFolders = null;
 let legacyRootUri = null;
@@ -150,6 +157,48 @@ function getWorkingDirectoryForDocument(docUri, settings) {
   return undefined;
 }
 
+/**
+ * Suchverzeichnisse aus der Einstellung pearl.includePaths.
+ * Ersetzt werden ${workspaceFolder} (Ordner des Dokuments), ${workspaceFolder:Name} und
+ * ${fileDirname}; relative Angaben gelten ab dem Working Directory des Dokuments.
+ * Einträge mit nicht auflösbaren Variablen werden übergangen.
+ */
+function getIncludePathsSetting(docUri, settings) {
+  const entries = Array.isArray(settings.includePaths) ? settings.includePaths : [];
+  const workingDirectory = getWorkingDirectoryForDocument(docUri, settings);
+  const result = [];
+
+  for (const entry of entries) {
+    if (typeof entry !== 'string' || entry.trim() === '') continue;
+
+    let resolved = true;
+    const expanded = entry.replace(/\$\{(workspaceFolder|fileDirname)(?::([^}]+))?\}/g, (match, variable, name) => {
+      let folderUri;
+      if (variable === 'fileDirname') {
+        return docUri ? path.dirname(filePathFromUri(docUri)) : (resolved = false, '');
+      }
+      if (name) {
+        const folder = (workspaceFolders || []).find(f => f.name === name);
+        folderUri = folder && folder.uri;
+      }
+      else {
+        const folder = docUri ? getWorkspaceFolderForUri(docUri) : undefined;
+        folderUri = folder ? folder.uri : legacyRootUri;
+      }
+      if (!folderUri) {
+        resolved = false;
+        return '';
+      }
+      return filePathFromUri(folderUri);
+    });
+
+    if (resolved) {
+      result.push(workingDirectory ? path.resolve(workingDirectory, expanded) : path.resolve(expanded));
+    }
+  }
+  return result;
+}
+
 /**
  * Optional: Gibt irgendein "Workspace Root" zurück, z.B. für globale Scans.
  *  - Bei Multi-Root einfach der erste Folder
@@ -205,7 +254,8 @@ const semanticTokenTypes = [
   'label',      // Sprungmarken MyLabel:
   'operator',   // Operatoren (z. B. +, ==)  
   'string',     // String-Literale
-  'number'      // numerische Literale
+  'number',     // numerische Literale
+  'comment'     // inaktive Bereiche (zusammen mit dem Modifier inactive)
 ];
 
 /*
@@ -223,7 +273,8 @@ defaultLibrary – Symbol stammt aus der Standardbibliothek / Runtime
 
 const semanticTokenModifiers = [
   'declaration', // an der Deklarationsstelle
-  'readonly'
+  'readonly',
+  'inactive'     // inaktiver Präprozessor-Bereich (package.json: *.inactive)
 ];
 
 
@@ -235,7 +286,13 @@ let hasConfigurationCapability = false;
 const defaultSettings = {
   maxNumberOfProblems: 100,
   traceServer: 'off',
-  workingDirMode: 'file'
+  workingDirMode: 'file',
+  includePaths: [],
+  dialect: 'RTOS-UH',
+  format: {
+    indentSize: 3,
+    keywordCase: 'upper'
+  }
 };
 
 let globalSettings = defaultSettings;
@@ -253,6 +310,10 @@ connection.onInitialize((params) => {
     params.capabilities.workspace && params.capabilities.workspace.workspaceFolders
   );
   initWorkspaceState(params);
+  if (params.locale) {
+    clientLocale = params.locale;
+  }
+  loadBuiltinCatalogue();
 
   const capabilities = params.capabilities;
 
@@ -272,8 +333,24 @@ connection.onInitialize((params) => {
       },      
       completionProvider: { resolveProvider: true },
       hoverProvider: true,
+      signatureHelpProvider: {
+        triggerCharacters: ['(', ','],
+        retriggerCharacters: [',']
+      },
       definitionProvider: true,
+      documentLinkProvider: { resolveProvider: false },
+      declarationProvider: true,
+      referencesProvider: true,
+      renameProvider: { prepareProvider: true },
+      documentSymbolProvider: true,
+      workspaceSymbolProvider: true,
       foldingRangeProvider: true,
+      documentFormattingProvider: true,
+      documentRangeFormattingProvider: true,
+      documentOnTypeFormattingProvider: {
+        firstTriggerCharacter: ';',
+        moreTriggerCharacter: ['\n']
+      },
       semanticTokensProvider: {
         legend: {
             // set your tokens here
@@ -295,6 +372,11 @@ connection.onInitialized(() => {
       connection.workspace.onDidChangeWorkspaceFolders(event => {
         connection.console.log( `workspaceFolders changed: ${JSON.stringify(event, null, 2)}`);
         updateWorkspaceFolders(event);
+        loadBuiltinCatalogue();
+        for (const folder of event.removed) {
+          workspaceIndex.deleteFolder(folder.uri);
+        }
+        scanWorkspaceFolders(event.added);
       });
     }    
 
@@ -304,6 +386,9 @@ connection.onInitialized(() => {
       undefined
     );
   }
+
+  // Workspace im Hintergrund indizieren
+  scanWorkspaceFolders(getIndexedWorkspaceFolders());
 });
 
 /**
@@ -430,200 +515,69 @@ const documentRegistry = new DocumentRegistry(documents);
 // PEARL-spezifische Daten
 // ------------------------------
 
-const PEARL_KEYWORDS = [
-  'ACTIVATE',
-  'AFTER',
-  'ALL',
-  'ALPHIC',
-  'ALT',
-  'AT',
-  'BASIC',
-  'BEGIN',
-  'BY',
-  'CALL',
-  'CASE',
-  'CLOSE',
-  'CONT',
-  'CONTINUE',
-  'CONTROL',
-  'CONVERT',
-  'CREATE',
-  'CREATED',
-  'CYCLIC',
-  'DECLARE',
-  'DCL',
-  'DELETE',
-  'DIM',
-  'DIRECT',
-  'DISABLE',
-  'ELSE',
-  'ENABLE',
-  'END',
-  'ENTER',
-  'ENTRY',
-  'EVERY',
-  'EXIT',
-  'FIN',
-  'FOR',
-  'FORBACK',
-  'FORMAT',
-  'FORWARD',
-  'FREE',
-  'FROM',
-  'GET',
-  'GLOBAL',
-  'GOTO',
-  'HRS',
-  'IDENTICAL',
-  'IDENT',
-  'IDF',
-  'IF',
-  'IN',
-  'INDUCE',
-  'INIT',
-  'INITIAL',
-  'INLINE',
-  'INOUT',
-  'INTFAC',
-  'INV',
-  'LEAVE',
-  'LENGTH',
-  'MATCH',
-  'MAX',
-  'MIN',
-  'MODEND',
-  'MODULE',
-  'NIL',
-  'NOCYCL',
-  'NOMATCH',
-  'NOSTREAM',
-  'ON',
-  'ONEOF',
-  'OPEN',
-  'OPERATOR',
-  'OUT',
-  'PRECEDENCE',
-  'PRESET',
-  'PREVENT',
-  'PRIORITY',
-  'PRIO',
-  'PROBLEM',
-  'PROCEDURE',
-  'PROC',
-  'PUT',
-  'READ',
-  'REENT',
-  'REF',
-  'RELEASE',
-  'REPEAT',
-  'REQUEST',
-  'RESERVE',
-  'RESIDENT',
-  'RESUME',
-  'RETURN',
-  'RETURNS',
-  'SEC',
-  'SEMASET',
-  'SEND',
-  'SHELLMODULE',
-  'SIGNAL',
-  'SPECIFY',
-  'SPC',
-  'STREAM',
-  'STRUCT',
-  'SUSPEND',
-  'SYS',
-  'SYSTEM',
-  'TAKE',
-  'TASK',
-  'TERMINATE',
-  'TFU',
-  'THEN',
-  'TO',
-  'TRIGGER',
-  'TRY',
-  'TYPE',
-  'UNTIL',
-  'UPON',
-  'USING',
-  'WHEN',
-  'WHILE',
-  'WRITE'
-];
+// Dialektprofile: je Dialekt eine Datei dialects/<name>.json mit
+//   statements   - Schlüsselwörter, mit denen eine Anweisung beginnen darf
+//   keywords     - übrige reservierte Wörter
+//   types        - Datentypen
+//   operators    - Operatoren aus Buchstaben
+//   preprocessor - { style: 'rt-preproz' | 'cpp' | 'none', directives: [...] }
+//   builtins     - Namen der verfügbaren vordefinierten Prozeduren oder '*' für den ganzen Katalog
+const DIALECTS_DIR = path.join(__dirname, 'dialects');
+const DEFAULT_DIALECT = 'RTOS-UH';
+const DIALECT_PROFILES = new Map();   // Name in Großbuchstaben -> Profil
+
+function loadDialectProfiles() {
+  let files = [];
+  try {
+    files = fs.readdirSync(DIALECTS_DIR).filter(file => file.endsWith('.json'));
+  } catch (e) {
+    connection.console.error(`Dialektprofile in ${DIALECTS_DIR} nicht lesbar: ${e.message}`);
+  }
+  for (const file of files) {
+    const data = readJsonFile(path.join(DIALECTS_DIR, file));
+    if (!data || typeof data.name !== 'string') continue;
+    const statements = new Set(data.statements || []);
+    const preprocessor = data.preprocessor || {};
+    DIALECT_PROFILES.set(data.name.toUpperCase(), {
+      name: data.name,
+      statements,
+      keywords: new Set([...statements, ...(data.keywords || [])]),
+      types: new Set(data.types || []),
+      operators: new Set(data.operators || []),
+      preprocessor: {
+        style: preprocessor.style || 'none',
+        directives: new Set(preprocessor.directives || [])
+      },
+      builtins: data.builtins === '*' ? null : new Set(data.builtins || [])
+    });
+  }
+}
 
-const TYPE_KEYWORDS = [
-  'BIT',
-  'BOLT',
-  'CHAR',
-  'CHARACTER',
-  'CLOCK',
-  'DATION',
-  'DURATION',
-  'FIXED',
-  'FLOAT',
-  'INTERRUPT',
-  'INTRPT',
-  'SEMA'
-];
+/**
+ * Profil zum Wert der Einstellung pearl.dialect (unbekannte Namen -> RTOS-UH)
+ */
+function getDialectProfile(name) {
+  const profile = DIALECT_PROFILES.get(String(name || DEFAULT_DIALECT).toUpperCase());
+  return profile || DIALECT_PROFILES.get(DEFAULT_DIALECT);
+}
 
-const OPERATOR_KEYWORDS = [
-//  'ABS',
-  'AND',
-  'CAT',
-//  'COS',
-  'CSHIFT',
-//  'DATE',
-  'ENTIER',
-  'EQ',
-  'EXOR',
-  'EXP',
-  'FIT',
-  'GE',
-  'GT',
-  'IS',
-  'ISNT',
-  'LE',
-//  'LN',
-  'LT',
-  'LWB',
-  'NE',
-  'NOT',
-  'OR',
-  'REM',
-  'ROUND',
-  'SHIFT',
-  'SIGN',
-//  'SIN',
-//  'SQRT',
-  'SIZEOF',
-//  'TAN',
-//  'TANH',
-  'TOBIT',
-  'TOCHAR',
-  'TOFIXED',
-  'TOFLOAT',
-  'UPB'
-];
+/**
+ * Dialekte, in denen das Wort reserviert ist (für Hinweise bei Verwendung im falschen Dialekt)
+ */
+function getDialectsReserving(word) {
+  return [...DIALECT_PROFILES.values()]
+    .filter(profile => profile.keywords.has(word) || profile.types.has(word) || profile.operators.has(word))
+    .map(profile => profile.name);
+}
 
-const PREPOCESSOR_KEYWORDS = [
-  // RTOS-UH-Compiler-Einbaubefehle
-  '#DEFINE',  // #DEFINE identifier = xcompconstexpression; Wirkt global und lokal
-  '#INCLUDE', // #INCLUDE filepathlist;
-  '#IF',      // #IF xcompconstexpression;
-  '#IFDEF',   // #IFDEF identifier;
-  '#IFUDEF',  // #IFUDEF identifier;
-  '#ELSE',
-  '#FIN',
-  // RT-PREPROZ
-  '#define',  // #define identifier ["value"]
-  '#undef',   // #undef identifier
-  '#include', // #include filepath
-  '#path',    // #path path
-  '#ifdef',   // #ifdef identifier
-  '#ifndef',  // #ifndef identifier
-  '#else',
-  '#endif'
-];
+/**
+ * Präprozessorbefehl, den irgendein Dialekt kennt
+ */
+function isKnownDirective(directive) {
+  return [...DIALECT_PROFILES.values()].some(profile => profile.preprocessor.directives.has(directive));
+}
+
+loadDialectProfiles();
 
 const BLOCK_START_KEYWORDS = new Set([
   'MODULE',
@@ -690,247 +644,228 @@ const TASK_CTRL_KEYWORDS = {
   }  
 };
 const SEMA_OP_KEYWORDS = ['REQUEST', 'RELEASE'];
+
+// Schlüsselwörter, mit denen eine Typangabe nach einem Parameternamen beginnen kann
+const PARAMETER_TYPE_KEYWORDS = ['INV', 'REF', 'PROC', 'PROCEDURE', 'ENTRY', 'TASK', 'DATION', 'STRUCT'];
 const BOLT_OP_KEYWORDS = ['ENTER', 'LEAVE', 'RESERVE', 'FREE'];
 
-const BUILTIN_PROCS = {
-  'NOW': {
-    signature: "SPC NOW PROC RETURNS ( CLOCK ) GLOBAL ;",
-    notes: "Predefined function; returns current system time as CLOCK."
-  },
-  'DATE': {
-    signature: "SPC DATE PROC RETURNS ( CHAR(10) ) GLOBAL ;",
-    notes: "Predefined function; returns date as \"yyyy-mm-dd\"."
-  },
-  'ASSIGN': {
-    signature: "SPC ASSIGN ENTRY ( d DATION ALPHIC IDENT, new CHAR(24) ) GLOBAL ;",
-    notes: "Change logical assignment of an ALPHIC DATION (RTOS-UH)."
-  },
-  'RANF': {
-    signature: "SPC RANF ENTRY ( state1 FIXED(31) IDENT, state2 FIXED(31) IDENT ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "Random float in [0,1); updates generator state in state1/state2."
-  },
-  'DRANF': {
-    signature: "SPC DRANF ENTRY ( state1 FIXED(31) IDENT, state2 FIXED(31) IDENT ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "Double-precision variant of RANF."
-  },
-  'TASKST': {
-    signature: "SPC TASKST ENTRY ( name CHAR(24) ) RETURNS ( BIT(32) ) GLOBAL ;",
-    notes: "Returns encoded task status bits for the named task."
-  },
-  'SETPRI': {
-    signature: "SPC SETPRI ENTRY ( newprio FIXED ) RETURNS ( FIXED ) GLOBAL ;",
-    notes: "Set priority of current task; returns old priority."
-  },
-  'GETPRI': {
-    signature: "SPC GETPRI ENTRY ( what FIXED ) RETURNS ( FIXED ) GLOBAL ;",
-    notes: "Return default or current priority depending on parameter value."
-  },
-  'ACOS': {
-    signature: "SPC ACOS PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "ACOS = each of the standard math builtins"
-  },
-  'ACOS': {
-    signature: "SPC ACOS PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "ACOS = each of the standard math builtins"
-  },
-  'ASIN': {
-    signature: "SPC ASIN PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "ASIN = each of the standard math builtins"
-  },
-  'ASIN': {
-    signature: "SPC ASIN PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "ASIN = each of the standard math builtins"
-  },
-  'ATAN': {
-    signature: "SPC ATAN PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "ATAN = each of the standard math builtins"
-  },
-  'ATAN': {
-    signature: "SPC ATAN PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "ATAN = each of the standard math builtins"
-  },
-  'COS': {
-    signature: "SPC COS PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "COS = each of the standard math builtins"
-  },
-  'COS': {
-    signature: "SPC COS PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "COS = each of the standard math builtins"
-  },
-  'EXP': {
-    signature: "SPC EXP PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "EXP = each of the standard math builtins"
-  },
-  'EXP': {
-    signature: "SPC EXP PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "EXP = each of the standard math builtins"
-  },
-  'LD': {
-    signature: "SPC LD PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "LD = each of the standard math builtins"
-  },
-  'LD': {
-    signature: "SPC LD PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "LD = each of the standard math builtins"
-  },
-  'LG': {
-    signature: "SPC LG PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "LG = each of the standard math builtins"
-  },
-  'LG': {
-    signature: "SPC LG PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "LG = each of the standard math builtins"
-  },
-  'LN': {
-    signature: "SPC LN PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "LN = each of the standard math builtins"
-  },
-  'LN': {
-    signature: "SPC LN PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "LN = each of the standard math builtins"
-  },
-  'PI': {
-    signature: "SPC PI PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "NPIAME = each of the standard math builtins"
-  },
-  'PI': {
-    signature: "SPC PI PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "PI = each of the standard math builtins"
-  },
-  'SIN': {
-    signature: "SPC SIN PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "SIN = each of the standard math builtins"
-  },
-  'SIN': {
-    signature: "SPC SIN PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "SIN = each of the standard math builtins"
-  },
-  'SQRT': {
-    signature: "SPC SQRT PROC ( x FLOAT(23) ) RETURNS ( FLOAT(23) ) GLOBAL ;",
-    notes: "SQRT = each of the standard math builtins"
-  },
-  'SQRT': {
-    signature: "SPC SQRT PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "SQRT = each of the standard math builtins"
-  },
-  'TAN': {
-    signature: "SPC TAN PROC ( x FLOAT(55) ) RETURNS ( FLOAT(55) ) GLOBAL ;",
-    notes: "TAN = each of the standard math builtins"
-  },
-  'ATANH': {
-    signature: "SPC ATANH PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'COSH': {
-    signature: "SPC COSH PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'EXPM1': {
-    signature: "SPC EXPM1 PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'INT': {
-    signature: "SPC INT PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'INTRZ': {
-    signature: "SPC INTRZ PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'LNP1': {
-    signature: "SPC LNP1 PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'NEG': {
-    signature: "SPC NEG PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'SINH': {
-    signature: "SPC SINH PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'TANH': {
-    signature: "SPC TANH PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'TENTOX': {
-    signature: "SPC TENTOX PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'TWOTOX': {
-    signature: "SPC TWOTOX PROC ( x FLOAT ) RETURNS ( FLOAT ) GLOBAL ;",
-    notes: "FPU-specific builtin functions; only present if compiled with FPU support."
-  },
-  'ST': {
-    signature: "SPC ST PROC ( d DATION IDENT ) RETURNS ( FIXED(15) ) GLOBAL ;",
-    notes: "Status of last I/O for given DATION."
-  },
-  'REWIND': {
-    signature: "SPC REWIND ENTRY ( d DATION IDENT ) GLOBAL ;",
-    notes: "Rewind DATION"
-  },
-  'SYNC': {
-    signature: "SPC SYNC   ENTRY ( d DATION IDENT ) GLOBAL ;",
-    notes: "Sync DATION and device"
-  },
-  'SEEK': {
-    signature: "SPC SEEK   ENTRY ( d DATION IDENT, pos FIXED(31) ) GLOBAL ;",
-    notes: "Seek position of DATION."
-  },
-  'SAVEP': {
-    signature: "SPC SAVEP  ENTRY ( d DATION IDENT, pos FIXED(31) IDENT ) GLOBAL ;",
-    notes: "Get position of DATION."
-  },
-  'APPEND': {
-    signature: "SPC APPEND ENTRY ( d DATION IDENT ) GLOBAL ;",
-    notes: "Open DATION for appending data."
-  },
-  'SETPIX': {
-    signature: "SPC SETPIX ENTRY ( xpos FIXED(15), ypos FIXED(15), colour FIXED(15) ) GLOBAL ;",
-    notes: "Set pixel in bitmapped graphics."
-  },
-  'GETPIX': {
-    signature: "SPC GETPIX ENTRY ( xpos FIXED(15), ypos FIXED(15), colour FIXED(15) IDENT ) GLOBAL ;",
-    notes: "Get pixel in bitmapped graphics."
-  },
-  'LINE': {
-    signature: "SPC LINE   ENTRY ( x1pos FIXED(15), y1pos FIXED(15), x2pos FIXED(15), y2pos FIXED(15), colour FIXED(15) ) GLOBAL ;",
-    notes: "Draw line in bitmapped graphics."
-  },
-  'REFADD': {
-    signature: "SPC REFADD ENTRY ( p REF, shift FIXED(31) ) GLOBAL ;",
-    notes: "Pointer arithmetic on REF"
-  },
-  'BEG': {
-    signature: "SPC BEG ENTRY ( s CHAR(255) IDENT ) RETURNS ( FIXED(15) ) GLOBAL ;",
-    notes: "BEG → erste nicht-Blank-Position, LEN."
-  },
-  'LEN': {
-    signature: "SPC LEN ENTRY ( s CHAR(255) IDENT ) RETURNS ( FIXED(15) ) GLOBAL ;",
-    notes: "letzte nicht-Blank-Position."
-  },
-  'INSTR': {
-    signature: "SPC INSTR ENTRY ( s1 CHAR(255) IDENT, anf1 FIXED(15) IDENT, end1 FIXED(15) IDENT, s2 CHAR(255) IDENT, anf2 FIXED(15) IDENT, end2 FIXED(15) IDENT ) RETURNS ( FIXED(15) ) GLOBAL ;",
-    notes: "Teilstring-Suche."
-  },
-  'CMPW': {
-    signature: "SPC CMPW ENTRY ( s1 CHAR(255) IDENT, anf1 FIXED(15) IDENT, end1 FIXED(15) IDENT, s2 CHAR(255) IDENT, anf2 FIXED(15) IDENT, end2 FIXED(15) IDENT ) RETURNS ( FIXED(15) ) GLOBAL ;",
-    notes: "Vergleich mit Wildcards (*, ?)."
-  },
-  'MID': {
-    signature: "SPC MID ENTRY ( s CHAR(255) IDENT, anf1 FIXED(15) IDENT, end1 FIXED(15) IDENT ) RETURNS ( CHAR(255) ) GLOBAL ;",
-    notes: "Teilstring kopieren: string2 = MID(string1, anf1, end1)."
-  },
-  'KON': {
-    signature: "SPC KON ENTRY ( s1 CHAR(255) IDENT, anf1 FIXED(15) IDENT, end1 FIXED(15) IDENT, s2 CHAR(255) IDENT, anf2 FIXED(15) IDENT, end2 FIXED(15) IDENT ) RETURNS ( CHAR(255) ) GLOBAL ;",
-    notes: "zwei Teilstrings verketten → string3"
-  },
-  'INSER': {
-    signature: "SPC INSER ENTRY ( s1 CHAR(255) IDENT, anf1 FIXED(15) IDENT, end1 FIXED(15) IDENT, s2 CHAR(255) IDENT, anf2 FIXED(15) IDENT, end2 FIXED(15) IDENT ) RETURNS ( CHAR(255) ) GLOBAL ;",
-    notes: "Teilstring aus s2 in s1 einfügen → string3."
-  }
+// Vordefinierte Prozeduren: Katalog builtins.json neben dem Server, ergänzt um eine
+// optionale Datei pearl-builtins.json in den Workspace-Ordnern.
+// Name -> Liste der Überladungen { name, signature, description: { en, de }, fpu, workspace, params, returns }
+const BUILTIN_CATALOGUE_FILE = path.join(__dirname, 'builtins.json');
+const WORKSPACE_BUILTINS_FILENAME = 'pearl-builtins.json';
+const BUILTIN_PROCS = {};
+
+// Sprache der Beschreibungen (locale aus der Initialisierung), Standard Deutsch
+let clientLocale = 'de';
+
+const BUILTIN_FPU_NOTE = {
+  de: 'Nur verfügbar, wenn mit FPU-Unterstützung übersetzt.',
+  en: 'Only available when compiled with FPU support.'
 };
 
+/**
+ * JSON-Datei (Katalog, Dialektprofil) lesen; null, wenn sie fehlt oder kein gültiges JSON enthält
+ */
+function readJsonFile(fsPath) {
+  let text;
+  try {
+    text = fs.readFileSync(fsPath, 'utf8');
+  } catch {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    connection.console.error(`${fsPath} ist fehlerhaft: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Überladungen eines Katalogs übernehmen. Gleiche Signatur ersetzt den vorhandenen Eintrag,
+ * so dass die Workspace-Datei Beschreibungen und FPU-Kennzeichen überschreiben kann.
+ * Überladungen aus dem Workspace stehen unabhängig vom Dialekt zur Verfügung.
+ */
+function addBuiltinOverloads(catalogue, workspace = false) {
+  for (const [name, entries] of Object.entries(catalogue || {})) {
+    const overloads = BUILTIN_PROCS[name] || [];
+    for (const entry of Array.isArray(entries) ? entries : [entries]) {
+      if (!entry || typeof entry.signature !== 'string') continue;
+      const { params, returns } = parseBuiltinSignature(entry.signature);
+      const description = typeof entry.description === 'string'
+        ? { en: entry.description, de: entry.description }
+        : (entry.description || {});
+      const overload = { name, signature: entry.signature, description, fpu: !!entry.fpu, workspace, params, returns };
+
+      const index = overloads.findIndex(o => o.signature === entry.signature);
+      if (index >= 0) {
+        overloads[index] = overload;
+      }
+      else {
+        overloads.push(overload);
+      }
+    }
+    if (overloads.length > 0) {
+      BUILTIN_PROCS[name] = overloads;
+    }
+  }
+}
+
+/**
+ * Katalog neu aufbauen (beim Start und wenn sich Workspace-Ordner oder pearl-builtins.json ändern)
+ */
+function loadBuiltinCatalogue() {
+  for (const name of Object.keys(BUILTIN_PROCS)) {
+    delete BUILTIN_PROCS[name];
+  }
+  addBuiltinOverloads(readJsonFile(BUILTIN_CATALOGUE_FILE));
+  for (const folder of getIndexedWorkspaceFolders()) {
+    addBuiltinOverloads(readJsonFile(path.join(filePathFromUri(folder.uri), WORKSPACE_BUILTINS_FILENAME)), true);
+  }
+}
+
+loadBuiltinCatalogue();
+
+/**
+ * Überladungen einer vordefinierten Prozedur, die im Dialekt verfügbar sind (undefined, wenn keine)
+ */
+function getDialectBuiltin(dialect, name) {
+  const overloads = BUILTIN_PROCS[name];
+  if (!overloads || !dialect.builtins || dialect.builtins.has(name)) return overloads;
+  const workspaceOverloads = overloads.filter(o => o.workspace);
+  return workspaceOverloads.length > 0 ? workspaceOverloads : undefined;
+}
+
+function descriptionLanguage() {
+  return clientLocale.toLowerCase().startsWith('de') ? 'de' : 'en';
+}
+
+function builtinDescription(overload) {
+  return overload.description[descriptionLanguage()] || overload.description.de || overload.description.en || '';
+}
+
+/**
+ * Markdown mit allen Überladungen und der Beschreibung der gewählten (sonst ersten) Überladung
+ */
+function builtinDocumentation(overloads, selected = null) {
+  const overload = selected || overloads[0];
+  let value = `\`\`\`pearl\n${overloads.map(o => o.signature).join('\n')}\n\`\`\`\n${escapeMarkdown(builtinDescription(overload))}`;
+  if (overload.fpu) {
+    value += `\n\n*${BUILTIN_FPU_NOTE[descriptionLanguage()]}*`;
+  }
+  return value;
+}
+
+// ------------------------------
+// Konstantenausdrücke (#DEFINE, #IF des RTOS-UH-Compilers)
+// ------------------------------
+
+// Dyadische Operatoren nach Rang, schwächste Bindung zuerst
+const CONSTANT_OPERATOR_LEVELS = [
+  ['OR', 'EXOR'],
+  ['AND'],
+  ['==', '/=', '<', '>', '<=', '>=', 'EQ', 'NE', 'LT', 'GT', 'LE', 'GE'],
+  ['+', '-'],
+  ['*', '/', '//', 'REM']
+];
+
+/**
+ * Ganzzahligen Konstantenausdruck auswerten. Vergleiche und logische Operatoren liefern 1 oder 0,
+ * lookup(name) den Wert eines Namens (undefined, wenn unbekannt).
+ * Ergebnis: { value } oder { error }
+ */
+function evaluateConstantExpression(text, lookup) {
+  const tokens = [];
+  const tokenPattern = /\s*(?:'([01]+)'B1?|(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\/\/|\/=|==|<=|>=|[-+*\/<>()]))/y;
+  let position = 0;
+  for (;;) {
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(text);
+    if (!match) break;
+    position = tokenPattern.lastIndex;
+    if (match[1] !== undefined) tokens.push({ value: parseInt(match[1], 2) });
+    else if (match[2] !== undefined) tokens.push({ value: parseInt(match[2], 10) });
+    else if (match[3] !== undefined) tokens.push({ name: match[3], word: match[3].toUpperCase() });
+    else tokens.push({ symbol: match[4] });
+  }
+  const rest = text.slice(position).trim();
+  if (rest) {
+    return { error: `Unerwartetes Zeichen "${rest[0]}" im Konstantenausdruck.` };
+  }
+
+  let index = 0;
+  const operatorOf = (token) => token && (token.symbol || token.word);
+
+  function fail(message) {
+    throw new Error(message);
+  }
+
+  function apply(operator, a, b) {
+    switch (operator) {
+      case 'OR': return (a || b) ? 1 : 0;
+      case 'EXOR': return (!a !== !b) ? 1 : 0;
+      case 'AND': return (a && b) ? 1 : 0;
+      case '==': case 'EQ': return a === b ? 1 : 0;
+      case '/=': case 'NE': return a !== b ? 1 : 0;
+      case '<': case 'LT': return a < b ? 1 : 0;
+      case '>': case 'GT': return a > b ? 1 : 0;
+      case '<=': case 'LE': return a <= b ? 1 : 0;
+      case '>=': case 'GE': return a >= b ? 1 : 0;
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+    }
+    if (b === 0) fail('Division durch 0 im Konstantenausdruck.');
+    return operator === 'REM' ? a % b : Math.trunc(a / b);
+  }
+
+  function parseLevel(level) {
+    if (level >= CONSTANT_OPERATOR_LEVELS.length) return parseUnary();
+    let value = parseLevel(level + 1);
+    while (CONSTANT_OPERATOR_LEVELS[level].includes(operatorOf(tokens[index]))) {
+      const operator = operatorOf(tokens[index++]);
+      value = apply(operator, value, parseLevel(level + 1));
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    const operator = operatorOf(tokens[index]);
+    if (operator === '-' || operator === '+' || operator === 'NOT') {
+      index++;
+      const value = parseUnary();
+      return operator === '-' ? -value : operator === 'NOT' ? (value ? 0 : 1) : value;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) fail('Konstantenausdruck unvollständig.');
+    if (token.value !== undefined) return token.value;
+    if (token.symbol === '(') {
+      const value = parseLevel(0);
+      if (operatorOf(tokens[index++]) !== ')') fail('")" im Konstantenausdruck erwartet.');
+      return value;
+    }
+    if (token.name !== undefined) {
+      const value = lookup(token.name);
+      if (value === undefined) fail(`${token.name} ist keine Compilezeit-Konstante.`);
+      return value;
+    }
+    fail(`Unerwartetes ${token.symbol} im Konstantenausdruck.`);
+  }
+
+  try {
+    const value = parseLevel(0);
+    if (index < tokens.length) fail(`Unerwartetes ${operatorOf(tokens[index]) || tokens[index].value} im Konstantenausdruck.`);
+    return { value };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
 // ------------------------------
 // Tokenizer
 // ------------------------------
@@ -971,7 +906,7 @@ function analyze(uri, text, settings, options) {
 
 //https://www.vscodeapi.com/classes/vscode.diagnostic#tags
 
-  function addDiagnostic(severity, message, diagUri, startOffset, endOffset, tags = null ) {
+  function addDiagnostic(severity, message, diagUri, startOffset, endOffset, tags = null, relatedInformation = undefined ) {
     if (diagUri !== uri)  // nicht bei IncludeDateien
       return;
 
@@ -998,16 +933,32 @@ function analyze(uri, text, settings, options) {
         end: doc.positionAt( e )
       },
       source: 'pearl-lsp',
-      tags
+      tags,
+      relatedInformation
     });
   }
 
+  // Herkunft eines Tokens aus einer Makro-Expansion: Verweise in die #define-Zeilen
+  function expansionInformation(token) {
+    if (!token.expansions) return undefined;
+    const information = [];
+    for (const expansion of token.expansions) {
+      const doc = documentRegistry.get(expansion.uri);
+      if (!doc) continue;
+      information.push({
+        location: { uri: expansion.uri, range: { start: doc.positionAt(expansion.startOffset), end: doc.positionAt(expansion.endOffset) } },
+        message: `in Makro ${expansion.macro}`
+      });
+    }
+    return information.length > 0 ? information : undefined;
+  }
+
   function addDiagnosticErrorPos(message, diagUri, startOffset, endOffset) {
     addDiagnostic(DiagnosticSeverity.Error, message, diagUri, startOffset, endOffset);
   }
 
   function addDiagnosticError(message, token) {
-    addDiagnostic(DiagnosticSeverity.Error, message, token.uri, token.startOffset, token.endOffset);
+    addDiagnostic(DiagnosticSeverity.Error, message, token.uri, token.startOffset, token.endOffset, null, expansionInformation(token));
   }
 
   function addDiagnosticWarningPos(message, diagUri, startOffset, endOffset) {
@@ -1015,7 +966,7 @@ function analyze(uri, text, settings, options) {
   }
 
   function addDiagnosticWarning(message, token) {
-    addDiagnostic(DiagnosticSeverity.Warning, message, token.uri, token.startOffset, token.endOffset);
+    addDiagnostic(DiagnosticSeverity.Warning, message, token.uri, token.startOffset, token.endOffset, null, expansionInformation(token));
   }
 
   function addDiagnosticHintPos(message, diagUri, startOffset, endOffset, tags) {
@@ -1023,19 +974,61 @@ function analyze(uri, text, settings, options) {
   }
 
   function addDiagnosticHint(message, token, tags) {
-    addDiagnostic(DiagnosticSeverity.Hint, message, token.uri, token.startOffset, token.endOffset, tags);
+    addDiagnostic(DiagnosticSeverity.Hint, message, token.uri, token.startOffset, token.endOffset, tags, expansionInformation(token));
+  }
+
+  // Nicht definierter Name; Hinweis, wenn er nur in einem anderen Dialekt reserviert ist
+  function addUndefinedDiagnostic(name, token) {
+    const dialects = getDialectsReserving(name.toUpperCase());
+    const hint = dialects.length > 0
+      ? ` ${name.toUpperCase()} ist ein Schlüsselwort in ${dialects.join(', ')}, nicht aber im Dialekt ${dialect.name}.`
+      : '';
+    addDiagnosticError(`${name} nicht definiert.${hint}`, token);
+  }
+
+  // Verweis auf ein Token als relatedInformation
+  function tokenInformation(token, message) {
+    const doc = documentRegistry.get(token.uri);
+    if (!doc) return null;
+    return {
+      location: { uri: token.uri, range: { start: doc.positionAt(token.startOffset), end: doc.positionAt(token.endOffset) } },
+      message
+    };
+  }
+
+  // Fehler in der Verschachtelung von #ifdef/#IF, #else, #endif; mit Verweis auf die öffnende
+  // Direktive. Stellen in Include-Dateien werden am #include des Hauptdokuments gemeldet.
+  function addNestingDiagnostic(severity, message, token, openingTokens = []) {
+    const reportToken = token.uri === uri || includeTokens.length === 0 ? token : includeTokens[0];
+    const file = token.uri === uri ? '' : `${path.basename(filePathFromUri(token.uri))}: `;
+    const relatedInformation = [].concat(openingTokens)
+      .map(opening => tokenInformation(opening, `öffnende Direktive ${opening.value}`))
+      .filter(information => information);
+    addDiagnostic(severity, file + message, reportToken.uri, reportToken.startOffset, reportToken.endOffset, null,
+      relatedInformation.length > 0 ? relatedInformation : undefined);
   }
 
   const blockStack = [];
   const scopeStack = [{}];
-  const includeStack = [];
+  const scopes = [ scopeStack[0] ];   // alle jemals angelegten Scopes (für Rename)
+  const includeStack = [];     // absolute Pfade der gerade eingefügten Dateien
+  const includeTokens = [];    // zugehörige #include-Tokens
+  const documentPath = filePathFromUri(uri);
+  const pathDirectives = [];   // Verzeichnisse aus #path in der Reihenfolge ihres Auftretens
+  const includeSearchPaths = getIncludePathsSetting(uri, settings);
   const defines = new Map();
   const defineStack = [ true ];
-  const preprocStack = [{}];
+  const preprocStack = [];     // offene #ifdef/#IF bzw. deren #else (mit .opening)
   let section = 'problem';
   const foldingRanges = [];
   let gotoList = [];
   let modendFound = false;
+  const outline = [];         // Dokumentstruktur (MODULE -> SYSTEM/PROBLEM -> TASK/PROC -> DCL/Labels)
+  const outlineStack = [];    // offene Container der Dokumentstruktur
+  let outlineSection = null;  // offener SYSTEM/PROBLEM-Abschnitt
+
+  // Sprachumfang laut Einstellung pearl.dialect
+  const dialect = getDialectProfile(settings.dialect);
 
   // Vordefinierte Makros aus den Einstellungen holen
   const macros = settings.macros || {};
@@ -1043,13 +1036,21 @@ function analyze(uri, text, settings, options) {
   for (const [name, value] of Object.entries(macros)) {
     // no-value macro: #define NAME → -DNAME
     if (value === "" || value == null) {
-      defines.set(name, { value: null, define: undefined });      
+      defines.set(name, { value: null, define: undefined, setting: true });
     } else {
       // value macro: #define NAME VALUE → -DNAME=VALUE
-      defines.set(name, { value, define: undefined });      
+      defines.set(name, { value, define: undefined, setting: true });
     }
   }
 
+  // Wert eines Makros in Konstantenausdrücken (#IF, #DEFINE); undefined, wenn nicht auswertbar
+  function constantValueOf(name, depth = 0) {
+    const define = defines.get(name);
+    if (!define || !define.value || depth > 20) return undefined;
+    const result = evaluateConstantExpression(define.value, n => constantValueOf(n, depth + 1));
+    return result.error ? undefined : result.value;
+  }
+
   /**
    * Tokenstruktur:
    * {
@@ -1165,36 +1166,35 @@ function analyze(uri, text, settings, options) {
         return undefined;
       }
     }
-    if (kind === 'PROCEDURE') {
-      // vordefinierte Prozeduren checken
-/*      
-      const BUILTIN_PROCS = {
-        'NOW': {
-          signature: "SPC NOW PROC RETURNS ( CLOCK ) GLOBAL ;",
-          notes: "Predefined function; returns current system time as CLOCK."
-        },
-        ...
-    };
-*/
-      if (BUILTIN_PROCS[ name ]) {
-//        connection.console.log( `lookupSymbol builtin PROC ${JSON.stringify(BUILTIN_PROCS[ name ])}` );
+    if (kind === 'PROCEDURE' || kind === '') {
+      // vordefinierte Prozeduren checken (auch parameterlos ohne Klammern, z. B. NOW, PI)
+      // Name -> Liste der im Dialekt verfügbaren Überladungen aus dem Katalog
+      const builtin = getDialectBuiltin(dialect, name);
+      if (builtin) {
+//        connection.console.log( `lookupSymbol builtin PROC ${JSON.stringify(builtin)}` );
         return {
-          builtin: BUILTIN_PROCS[ name ]
+          builtin
         };
       }
     }
     return undefined;
   }
   
-  function tokenize(uri, text, preprocess = true) {
+  const expandingMacros = [];   // gerade ersetzte Makros (Schutz vor rekursiver Expansion)
+  const macroArguments = [];    // je Expansion: Parameter -> Argumenttext an der Aufrufstelle
+  let outermostExpansion = null;  // Aufrufstelle im Quelltext, an der die laufende Expansion begann
+
+  // Tokenisiert text[startOffset, endOffset); Makrotexte werden so an ihrer
+  // Definitionsstelle gelesen und die Tokens behalten ihre Originalpositionen.
+  function tokenize(uri, text, preprocess = true, startOffset = 0, endOffset = text.length) {
     const tokens = [];
     const lineStartOffsets = [];
     const lineEndOffsets = [];
     let isLineStart = true;
-    lineStartOffsets.push( 0 );
+    lineStartOffsets.push( startOffset );
 
-    let offset = 0;
-    const len = text.length;
+    let offset = startOffset;
+    const len = endOffset;
 
     function addToken(type, startOffset, endOffset) {
       if ( !Number.isInteger(startOffset) || startOffset < 0 ||
@@ -1214,6 +1214,11 @@ function analyze(uri, text, settings, options) {
       return token;
     }
 
+    // Token in einem inaktiven Bereich: Kennzeichen für die semantischen Tokens
+    function markInactive(token) {
+      token.inactive = true;
+    }
+
     function processEndOfLine(cc) {
       // Zeilenende merken (vor aktuellem Umbruch ohne \r/\n)
       const lineEndOffset = offset;
@@ -1298,6 +1303,127 @@ function analyze(uri, text, settings, options) {
       return 'EOF in String'; // EOF ohne closing '
     }
 
+    // Makros in Pfadangaben von #include/#path ersetzen (String-Werte ohne Hochkommas)
+    // (verschachtelte Makros werden ebenfalls ersetzt, Selbstbezüge bleiben stehen)
+    function substitutePathMacros(pathText, active = []) {
+      return pathText.replace(/([A-Za-z_][A-Za-z0-9_]*)/g, (define) => {
+        if (defines.has(define) && !active.includes(define)) {
+          let value = substitutePathMacros(defines.get(define).value || '', [...active, define]);
+          const stringPattern = /^'(.*)'$/.exec(value);
+          return stringPattern ? stringPattern[1] : value;
+        }
+        return define;
+      });
+    }
+
+    // Argumente eines parametrisierten Makros ab offset lesen (nur auf derselben Zeile).
+    // Ergebnis: [{ startOffset, endOffset }, ...] und offset hinter der ")",
+    // null ohne "(" oder eine Fehlermeldung.
+    function scanMacroArguments() {
+      let pos = offset;
+      while (pos < len && (text[pos] === ' ' || text[pos] === '\t')) pos++;
+      if (pos >= len || text[pos] !== '(') return null;
+
+      const args = [];
+      let argStart = pos + 1;
+      let parenLevel = 0;
+      let inString = false;
+      for (; pos < len; pos++) {
+        const c = text[pos];
+        if (c === '\n' || c === '\r') break;
+        if (c === "'") {
+          inString = !inString;   // '' und '\..\' heben sich paarweise auf
+          continue;
+        }
+        if (inString) continue;
+        if (c === '(') {
+          parenLevel++;
+        }
+        else if (c === ')') {
+          parenLevel--;
+          if (parenLevel === 0) {
+            args.push({ startOffset: argStart, endOffset: pos });
+            offset = pos + 1;
+            return args;
+          }
+        }
+        else if (c === ',' && parenLevel === 1) {
+          args.push({ startOffset: argStart, endOffset: pos });
+          argStart = pos + 1;
+        }
+      }
+      offset = pos;
+      return '")" fehlt.';
+    }
+
+    // Datei eines #include/#INCLUDE suchen, rekursiv tokenisieren und einfügen.
+    // Suchreihenfolge wie RT-PREPROZ: Working Directory, Verzeichnisse aus #path
+    // (in der Reihenfolge ihres Auftretens), dann pearl.includePaths.
+    // Das Ergebnis wird für Document Links und Hover in token.includes vermerkt
+    // ({ startOffset, endOffset } = Pfadangabe im Quelltext).
+    function includeFile(token, directive, includePath, startOffset, endOffset) {
+      const searchPaths = path.isAbsolute(includePath)
+        ? []
+        : [...new Set([getWorkingDirectoryForDocument(uri, settings), ...pathDirectives, ...includeSearchPaths])].filter(dir => dir);
+
+      let absPath;
+      let includeDoc = null;
+      for (const candidate of path.isAbsolute(includePath) ? [includePath] : searchPaths.map(dir => path.resolve(dir, includePath))) {
+        includeDoc = documentRegistry.get(uriFromFilePath(candidate));
+        if (includeDoc) {
+          absPath = candidate;
+          break;
+        }
+      }
+
+      token.includes = token.includes || [];
+      token.includes.push({ startOffset, endOffset, path: includePath, uri: includeDoc ? includeDoc.uri : null, fsPath: absPath });
+
+      // Meldungen aus Include-Dateien am #include des Hauptdokuments anzeigen
+      const reportToken = includeTokens.length > 0 ? includeTokens[0] : token;
+
+      if (!includeDoc) {
+        addDiagnosticError(searchPaths.length > 0
+          ? `${directive}: Datei ${includePath} nicht lesbar (durchsucht: ${searchPaths.join(', ')})`
+          : `${directive}: Datei ${includePath} nicht lesbar`, token);
+      } else if (absPath === documentPath || includeStack.includes(absPath)) {
+        // Zyklus: ganze Kette ab dem Hauptdokument melden und nicht weiter einfügen
+        const baseDir = path.dirname(documentPath);
+        const chain = [documentPath, ...includeStack, absPath].map(p => path.relative(baseDir, p));
+        addDiagnosticError(`${directive}: Zyklische Einbindung ${chain.join(' → ')}`, reportToken);
+      } else if (includeStack.length >= 100) {
+        addDiagnosticError(`${directive}: Maximale Include-Tiefe (100) überschritten bei ${includePath}`, reportToken);
+      } else {
+        includeStack.push(absPath);
+        includeTokens.push(token);
+
+        // Rekursiv tokenisieren; section-Status durchreichen
+        const openBefore = preprocStack.map(t => t.opening || t);
+        const incTokenizeData = tokenize(includeDoc.uri, includeDoc.getText(), true);
+        includeStack.pop();
+        includeTokens.pop();
+
+        // #include des Hauptdokuments, über das die Tokens eingefügt wurden (Link-Diagnostics)
+        if (includeStack.length === 0) {
+          incTokenizeData.tokens.forEach(t => { t.includedBy = token; });
+        }
+
+        // Include-Dateien sollen die Verschachtelung bedingter Bereiche nicht verändern
+        const openAfter = preprocStack.map(t => t.opening || t);
+        if (openAfter.length !== openBefore.length) {
+          const changed = openAfter.length > openBefore.length
+            ? openAfter.slice(openBefore.length)
+            : openBefore.slice(openAfter.length);
+          addNestingDiagnostic(DiagnosticSeverity.Warning, openAfter.length > openBefore.length
+            ? `${directive}: ${includePath} lässt ${changed.length} bedingte(n) Bereich(e) offen.`
+            : `${directive}: ${includePath} schließt ${changed.length} bedingte(n) Bereich(e) der einbindenden Datei.`, token, changed);
+        }
+
+        // In Ergebnis einfügen
+        tokens.push(...incTokenizeData.tokens);
+      }
+    }
+
     // Lexer-Schleife
     while (offset < len) {
       let cc = text.charCodeAt(offset);
@@ -1366,7 +1492,28 @@ function analyze(uri, text, settings, options) {
         skipRestOfLine();
         let lineBuf = text.slice(lineStartOffset, offset);
 
-        const ifdefPattern = /^(\s*)((#ifn?def)\s+([A-Za-z_][A-Za-z0-9_]*))/.exec(lineBuf);
+        // Befehle, die nur andere Dialekte kennen
+        const directivePattern = /^(\s*)(#[A-Za-z][A-Za-z0-9_]*)/.exec(lineBuf);
+        if (directivePattern && !dialect.preprocessor.directives.has(directivePattern[2]) && isKnownDirective(directivePattern[2])) {
+          const directiveStart = lineStartOffset + directivePattern[1].length;
+          const directiveEnd = directiveStart + directivePattern[2].length;
+
+          if (defineStack[defineStack.length - 1]) {
+            const token = addToken('error', directiveStart, directiveEnd);
+            addDiagnosticError(dialect.preprocessor.style === 'none'
+              ? `Der Dialekt ${dialect.name} hat keinen Präprozessor (${directivePattern[2]}).`
+              : `Präprozessorbefehl ${directivePattern[2]} wird im Dialekt ${dialect.name} nicht unterstützt.`, token);
+            addToken('inactive', directiveEnd, offset);
+          }
+          else {
+            const token = addToken('inactive', lineStartOffset, offset);
+            markInactive(token);
+          }
+          continue;
+        }
+
+        // #ifdef/#ifndef (RT-PREPROZ) bzw. #IFDEF/#IFUDEF (RTOS-UH-Compiler)
+        const ifdefPattern = /^(\s*)((#ifn?def|#IFU?DEF)\s+([A-Za-z_][A-Za-z0-9_]*))/.exec(lineBuf);
         if (ifdefPattern) {
           const ifdefStart = ifdefPattern[1];
           const ifdefStmt = ifdefPattern[2];
@@ -1375,13 +1522,12 @@ function analyze(uri, text, settings, options) {
 
           const token = addToken('preproc', lineStartOffset + ifdefStart.length, lineStartOffset + ifdefStart.length + ifdefStmt.length);
           if (defineStack.length > 0 && !defineStack[defineStack.length - 1])
-            addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+            markInactive(token);
 
           const value = defines.has(ifdefName);
-          if (value) {
-            token.define = defines[ifdefName];
-          }
-          const process = ifdefCmd === '#ifdef' ? value : !value;
+          token.macroName = ifdefName;
+          token.macroDefinition = defines.get(ifdefName);
+          const process = (ifdefCmd === '#ifdef' || ifdefCmd === '#IFDEF') ? value : !value;
           const stackProcess = defineStack.reduce(( prev, current ) => {
              return prev && current;
           }, process );
@@ -1395,36 +1541,83 @@ function analyze(uri, text, settings, options) {
           continue;
         }
 
-        const elsePattern = /^(\s*)(#else)/.exec(lineBuf);
-        if (elsePattern) {
-          const elseStart = elsePattern[1];
-          const elseStmt = elsePattern[2];
+        // #IF konstantenausdruck; (RTOS-UH-Compiler)
+        const ifPattern = /^(\s*)(#IF)(?=\s|;|$)([^;]*)(;?)/.exec(lineBuf);
+        if (ifPattern) {
+          const ifStart = lineStartOffset + ifPattern[1].length;
+          const token = addToken('preproc', ifStart, ifStart + ifPattern[2].length);
 
-          const token = addToken('preproc', lineStartOffset + elseStart.length, lineStartOffset + elseStart.length + elseStmt.length);
+          let process = false;
+          if (defineStack[defineStack.length - 1]) {
+            if (!ifPattern[4]) {
+              addDiagnosticError('#IF: ";" erwartet.', token);
+            }
+            const result = evaluateConstantExpression(ifPattern[3], name => constantValueOf(name));
+            if (result.error) {
+              addDiagnosticError(`#IF: ${result.error}`, token);
+            }
+            else {
+              process = result.value !== 0;
+            }
+          }
+          else {
+            markInactive(token);
+          }
 
-          const elseValue = !defineStack.pop();
           const stackProcess = defineStack.reduce(( prev, current ) => {
              return prev && current;
-          }, elseValue );
+          }, process );
+
           defineStack.push( stackProcess );
+          preprocStack.push( token );
 
-          if (defineStack.length > 0 && !defineStack[defineStack.length - 1])
-            addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+          // Die gesamte #IF-Zeile überspringen
+          addToken('inactive', token.endOffset, offset);
 
-          if ( preprocStack.length > 0 ) {
-            const ifToken = preprocStack.pop();
-            if ( lineEndOffsets.length > 0 ) {
-              foldingRanges.push({
-                startOffset: ifToken.startOffset,
-                startUri: ifToken.uri,
-                endOffset: token.startOffset,
-                endUri: token.uri,
-                kind: 'preproz',
-                collapsedText: '...'
+          continue;
+        }
+
+        const elsePattern = /^(\s*)(#else|#ELSE)/.exec(lineBuf);
+        if (elsePattern) {
+          const elseStart = elsePattern[1];
+          const elseStmt = elsePattern[2];
+
+          const token = addToken('preproc', lineStartOffset + elseStart.length, lineStartOffset + elseStart.length + elseStmt.length);
+          const previousBranch = preprocStack[preprocStack.length - 1];
+
+          if (!previousBranch) {
+            addNestingDiagnostic(DiagnosticSeverity.Error, `${elseStmt} ohne vorangehendes #ifdef/#IF.`, token);
+          }
+          else if (previousBranch.opening) {
+            // Zweites #else: Zustand nicht erneut umschalten
+            addNestingDiagnostic(DiagnosticSeverity.Error, `Mehrfaches ${elseStmt} zu ${previousBranch.opening.value}.`, token, previousBranch.opening);
+          }
+          else {
+            const elseValue = !defineStack.pop();
+            const stackProcess = defineStack.reduce(( prev, current ) => {
+               return prev && current;
+            }, elseValue );
+            defineStack.push( stackProcess );
+          }
+
+          if (defineStack.length > 0 && !defineStack[defineStack.length - 1])
+            markInactive(token);
+
+          if ( previousBranch && !previousBranch.opening ) {
+            const ifToken = preprocStack.pop();
+            token.opening = ifToken;
+            if ( lineEndOffsets.length > 0 ) {
+              foldingRanges.push({
+                startOffset: ifToken.startOffset,
+                startUri: ifToken.uri,
+                endOffset: token.startOffset,
+                endUri: token.uri,
+                kind: 'preproz',
+                collapsedText: '...'
               });
             }
+            preprocStack.push( token );
           }
-          preprocStack.push( token );
 
           // Die gesamte #else-Zeile überspringen
           addToken('inactive', lineStartOffset + elseStart.length + elseStmt.length, offset);
@@ -1432,18 +1625,24 @@ function analyze(uri, text, settings, options) {
           continue;
         }
 
-        const endifPattern = /^(\s*)(#endif)/.exec(lineBuf);
+        const endifPattern = /^(\s*)(#endif|#FIN)/.exec(lineBuf);
         if (endifPattern) {
           const endifStart = endifPattern[1];
           const endifStmt = endifPattern[2];
 
           const token = addToken('preproc', lineStartOffset + endifStart.length, lineStartOffset + endifStart.length + endifStmt.length);
 
-          if ( defineStack.length > 1 )
+          if ( preprocStack.length === 0 ) {
+            addNestingDiagnostic(DiagnosticSeverity.Error, `${endifStmt} ohne vorangehendes #ifdef/#IF.`, token);
+          }
+          else if ( defineStack.length > 1 ) {
             defineStack.pop();
+          }
 
           if ( preprocStack.length > 0 ) {
             const ifElseToken = preprocStack.pop();
+            // Ende des bedingten Bereichs am öffnenden #ifdef vermerken (Hover über Makros)
+            (ifElseToken.opening || ifElseToken).conditionEnd = { uri: token.uri, endOffset: token.endOffset };
             if ( lineEndOffsets.length > 0 ) {
               foldingRanges.push({
                 startOffset: ifElseToken.startOffset,
@@ -1457,7 +1656,7 @@ function analyze(uri, text, settings, options) {
           }
 
           if (defineStack.length > 0 && !defineStack[defineStack.length - 1])
-            addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+            markInactive(token);
 
           // Die gesamte #undef-Zeile überspringen
           addToken('inactive', lineStartOffset + endifStart.length + endifStmt.length, offset);
@@ -1481,56 +1680,169 @@ function analyze(uri, text, settings, options) {
             addToken('inactive', lineStartOffset + includeStart.length + includeStmt.length, offset);
 
             // in #include Makros ersetzen
-            let finalIncludePath = includePath.replace(/([A-Za-z_][A-Za-z0-9_]*)/g, (define) => {
-              if (defines.has(define)) {
-                let value = defines.get(define).value || '';
-                const stringPattern = /^'(.*)'$/.exec(value);
-                return stringPattern ? stringPattern[1] : value;
-              }
-              return define;
-            });
+            let finalIncludePath = substitutePathMacros(includePath);
+
+            const includePathStart = lineStartOffset + includeStart.length + includeStmt.lastIndexOf(includePath);
+            includeFile(token, '#include', finalIncludePath, includePathStart, includePathStart + includePath.length);
+
+            continue;
+          }
+
+          // #path verzeichnis: weiteres Suchverzeichnis für die folgenden #include
+          const pathPattern = /^(\s*)(#path\s+(?:"([^\s"]+)"|([^\s]+)))/.exec(lineBuf);
+          if (pathPattern) {
+            const pathStart = pathPattern[1];
+            const pathStmt = pathPattern[2];
+            const searchPath = substitutePathMacros(pathPattern[3] || pathPattern[4]);
+
+            const token = addToken('preproc', lineStartOffset + pathStart.length, lineStartOffset + pathStart.length + pathStmt.length);
+
+            // Die gesamte #path-Zeile überspringen
+            addToken('inactive', lineStartOffset + pathStart.length + pathStmt.length, offset);
+
+            const absPath = path.resolve(getWorkingDirectoryForDocument(uri, settings), searchPath);
+            let isDirectory = false;
+            try {
+              isDirectory = fs.statSync(absPath).isDirectory();
+            } catch {
+              // nicht vorhanden
+            }
+            if (!isDirectory) {
+              addDiagnosticWarning(`#path: Verzeichnis ${searchPath} nicht vorhanden.`, token);
+            }
+            else if (!pathDirectives.includes(absPath)) {
+              pathDirectives.push(absPath);
+            }
 
-            if (includeStack.length < 100) { // maximale Include-Tiefe erreicht?
-              const parentPath = getWorkingDirectoryForDocument(uri, settings);            
-              const absPath = path.resolve(parentPath, finalIncludePath);
+            continue;
+          }
+
+          // RTOS-UH-Compiler: #INCLUDE datei [, datei ...];
+          const includeListPattern = /^(\s*)(#INCLUDE)(?=\s|;|$)([^;]*)(;?)/.exec(lineBuf);
+          if (includeListPattern) {
+            const includeStart = lineStartOffset + includeListPattern[1].length;
+            const token = addToken('preproc', includeStart, includeStart + includeListPattern[2].length);
+
+            // Die gesamte #INCLUDE-Zeile überspringen
+            addToken('inactive', token.endOffset, offset);
+
+            if (!includeListPattern[4]) {
+              addDiagnosticError('#INCLUDE: ";" erwartet.', token);
+            }
+            // Dateinamen mit Position, Hochkommas bzw. Anführungszeichen entfernen
+            const listStart = token.endOffset;
+            const files = [...includeListPattern[3].matchAll(/\s*(['"]?)([^,'"]*?)\1\s*(?:,|$)/g)]
+              .filter(match => match[2].trim().length > 0)
+              .map(match => {
+                const fileStart = listStart + match.index + match[0].indexOf(match[2]);
+                return { path: match[2].trim(), startOffset: fileStart, endOffset: fileStart + match[2].trim().length };
+              });
+            if (files.length === 0) {
+              addDiagnosticError('#INCLUDE: Dateiname erwartet.', token);
+            }
+            for (const file of files) {
+              includeFile(token, '#INCLUDE', file.path, file.startOffset, file.endOffset);
+            }
 
-              const includeUri = uriFromFilePath(absPath);
-              const includeDoc = documentRegistry.get(includeUri);
+            continue;
+          }
 
-              if (!includeDoc) {
-                addDiagnosticError(`#include: Datei ${finalIncludePath} nicht lesbar`, token);
-              } else {
-                includeStack.push(absPath);
+          // RTOS-UH-Compiler: #DEFINE name = konstantenausdruck;
+          const constantPattern = /^(\s*)(#DEFINE\s+([A-Za-z_][A-Za-z0-9_]*))\s*(=?)([^;]*)(;?)/.exec(lineBuf);
+          if (constantPattern) {
+            const constantStart = lineStartOffset + constantPattern[1].length;
+            const constantName = constantPattern[3];
+            const token = addToken('preproc', constantStart, constantStart + constantPattern[2].length);
 
-                // Rekursiv tokenisieren; section-Status durchreichen
-                const incTokenizeData = tokenize(includeDoc.uri, includeDoc.getText(), true);
-                includeStack.pop();
+            // Die gesamte #DEFINE-Zeile überspringen
+            addToken('inactive', token.endOffset, offset);
 
-                // In Ergebnis einfügen
-                tokens.push(...incTokenizeData.tokens);
+            // Wert ausrechnen; nicht auswertbare Ausdrücke werden unverändert eingesetzt
+            let constantValue = constantPattern[5].trim();
+            if (!constantPattern[4]) {
+              addDiagnosticError(`#DEFINE ${constantName}: "=" erwartet.`, token);
+            }
+            else {
+              if (!constantPattern[6]) {
+                addDiagnosticError(`#DEFINE ${constantName}: ";" erwartet.`, token);
+              }
+              const result = evaluateConstantExpression(constantValue, name => constantValueOf(name));
+              if (result.error) {
+                addDiagnosticError(`#DEFINE ${constantName}: ${result.error}`, token);
               }
+              else {
+                constantValue = String(result.value);
+              }
+            }
+
+            token.macroName = constantName;
+            if (defines.has(constantName)) {
+              addDiagnosticWarning(`Makro ${constantName} bereits definiert.`, token);
+            }
+            else {
+              const nameStart = token.startOffset + constantPattern[2].indexOf(constantName, '#DEFINE'.length);
+              defines.set(constantName, {
+                value: constantValue,
+                define: lineBuf.slice(constantPattern[1].length).trim(),
+                definition: { uri, startOffset: nameStart, endOffset: nameStart + constantName.length }
+              });
             }
+            token.macroDefinition = defines.get(constantName);
 
             continue;
           }
 
-          const definePattern = /^(\s*)(#define\s+([A-Za-z_][A-Za-z0-9_]*)(?:\s+"([^"]+)")?)/.exec(lineBuf);
+          // RT-PREPROZ: Ersetzungstext in Anführungszeichen, cpp: Rest der Zeile.
+          // Parameterliste direkt hinter dem Namen: #define NAME(a, b) ...
+          const definePattern = dialect.preprocessor.style === 'cpp'
+            ? /^(\s*)(#define\s+([A-Za-z_][A-Za-z0-9_]*)(?:\(([^)]*)\))?(?:[ \t]+(\S(?:.*\S)?))?)/.exec(lineBuf)
+            : /^(\s*)(#define\s+([A-Za-z_][A-Za-z0-9_]*)(?:\(([^)]*)\))?(?:\s+"([^"]+)")?)/.exec(lineBuf);
           if (definePattern) {
             const defineStart = definePattern[1];
             const defineStmt = definePattern[2];
             const defineName = definePattern[3];
-            const defineValue = definePattern[4] || '';
-
-            const token = addToken('preproc', lineStartOffset + defineStart.length, lineStartOffset + defineStart.length + defineStmt.length);
-            if (defines.has(defineName)) {
+            const defineValue = definePattern[5] || '';
+            const defineEnd = lineStartOffset + defineStart.length + defineStmt.length;
+
+            const token = addToken('preproc', lineStartOffset + defineStart.length, defineEnd);
+            const params = definePattern[4] !== undefined
+              ? definePattern[4].split(',').map(p => p.trim()).filter(p => p)
+              : null;
+            const invalidParam = params && params.find(p => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(p));
+            if (invalidParam) {
+              addDiagnosticError(`Makro ${defineName}: ungültiger Parameter ${invalidParam}.`, token);
+            }
+            else if (defines.has(defineName)) {
               addDiagnosticWarning(`Makro ${defineName} bereits definiert.`, token);
             }
             else {
-              defines.set(defineName, { value: defineValue, define: defineStmt });
+              // Lage des Ersetzungstexts, damit die Tokens der Expansion auf die Definition zeigen
+              const valueEnd = definePattern[5] !== undefined && dialect.preprocessor.style !== 'cpp' ? defineEnd - 1 : defineEnd;
+              const origin = { uri, text, startOffset: valueEnd - defineValue.length, endOffset: valueEnd };
+              const nameStart = token.startOffset + defineStmt.indexOf(defineName, '#define'.length);
+              const definition = { uri, startOffset: nameStart, endOffset: nameStart + defineName.length };
+              defines.set(defineName, { value: defineValue, define: defineStmt, params, origin, definition });
+            }
+            token.macroName = defineName;
+            token.macroDefinition = defines.get(defineName);
+
+            // Namen im Ersetzungstext (ohne Parameter und Strings) für Hover und Go to Definition;
+            // ob es Makros sind, entscheidet sich erst bei der Abfrage
+            const valueStart = defineEnd - defineValue.length - (definePattern[5] !== undefined && dialect.preprocessor.style !== 'cpp' ? 1 : 0);
+            token.valueStartOffset = valueStart;
+            token.macroReferences = [];
+            for (const match of defineValue.matchAll(/'(?:[^'\n]|'')*'|([A-Za-z_][A-Za-z0-9_]*)/g)) {
+              if (!match[1] || (params && params.includes(match[1]))) continue;
+              token.macroReferences.push({
+                name: match[1],
+                startOffset: valueStart + match.index,
+                endOffset: valueStart + match.index + match[1].length,
+                definition: defines.get(match[1])
+              });
             }
 
             if (defineStack.length > 0 && !defineStack[defineStack.length - 1])
-              addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+              markInactive(token);
 
             // Die gesamte #define-Zeile überspringen
             addToken('inactive', lineStartOffset + defineStart.length + defineStmt.length, offset);
@@ -1545,10 +1857,9 @@ function analyze(uri, text, settings, options) {
             const undefName = undefPattern[3];
 
             const token = addToken('preproc', lineStartOffset + undefStart.length, lineStartOffset + undefStart.length + undefStmt.length);
-            if (defines.has(undefName)) {
-              token.define = defines[undefName];
-            }
-            else {
+            token.macroName = undefName;
+            token.macroDefinition = defines.get(undefName);
+            if (!defines.has(undefName)) {
               addDiagnosticWarning(`Makro ${undefName} nicht definiert.`, token);
             }
             defines.delete( undefName );
@@ -1577,7 +1888,7 @@ function analyze(uri, text, settings, options) {
           // Die gesamte Zeile überspringen
           skipRestOfLine();
           const token = addToken('inactive', lineStartOffset, offset);
-          addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+          markInactive(token);
 
           continue;
         }
@@ -1592,7 +1903,7 @@ function analyze(uri, text, settings, options) {
         // Die gesamte Zeile überspringen
         skipRestOfLine();
         const token = addToken('inactive', lineStartOffset, offset);
-        addDiagnosticHint( 'inaktiv', token, [DiagnosticTag.Unnecessary]);
+        markInactive(token);
 
         continue;
       }
@@ -1686,6 +1997,13 @@ function analyze(uri, text, settings, options) {
           offset++;
           cc = text.charCodeAt(offset);
         }
+        // Dualzahl (z.B. 110B)
+        if (offset < len && text[offset] === 'B' && /^[01]+$/.test(text.slice(startOffset, offset))
+            && !/[A-Za-z0-9_]/.test(text[offset + 1] || '')) {
+          offset++;
+          addToken('number', startOffset, offset);
+          continue;
+        }
         // optionaler Dezimalpunkt + weitere Digits
         if (offset < len && text[offset] === '.') {
           offset++;
@@ -1739,34 +2057,105 @@ function analyze(uri, text, settings, options) {
         const endOffset = offset;
         let value = text.slice(startOffset, endOffset);
 
-        if (defines.has(value)) {
+        // Parameter des gerade ersetzten Makros: Argument im Kontext der Aufrufstelle tokenisieren
+        const argumentFrame = macroArguments[macroArguments.length - 1];
+        if (argumentFrame && argumentFrame.has(value)) {
+          const argument = argumentFrame.get(value);
+          macroArguments.pop();
+          const argumentTokens = tokenize(argument.uri, argument.text, false, argument.startOffset, argument.endOffset).tokens;
+          // Argumenttokens liegen im Text des Aufrufers: keine Herkunft aus diesem Makro vermerken
+          argumentTokens.forEach(t => { t.argumentLevel = Math.min(t.argumentLevel ?? Infinity, macroArguments.length); });
+          macroArguments.push(argumentFrame);
+          tokens.push(...argumentTokens);
+          continue;
+        }
+
+        if (defines.has(value) && expandingMacros.includes(value)) {
+          // Selbstbezug: Name bleibt wie beim C-Präprozessor unersetzt stehen
+          const site = outermostExpansion;
+          addDiagnosticWarningPos(`Rekursive Expansion von Makro ${value} abgebrochen (${[...expandingMacros, value].join(' → ')}).`,
+            site.uri, site.startOffset, site.endOffset);
+        }
+        else if (defines.has(value)) {
           /*
           * Präprozessor-define
           * Ersetzung muss geparst werden! z. B. als number, string, identifier ...
+          * Der Ersetzungstext läuft erneut durch die Makroersetzung (verschachtelte Makros).
           */
           const define = defines.get(value);
           const defineValue = define.value ? define.value : '';
-          addToken('preproc', startOffset, endOffset);
-          tokens[ tokens.length - 1].define = defineValue;
-          const defineTokenizeData = tokenize(uri, defineValue, false);  // Ersetzungstext tokenisieren, aber nicht rekursiv durch den Präprozessor laufen
-          const defineTokens = defineTokenizeData.tokens;
-          // Tokenposition korrigieren
-          defineTokens.map( t => { 
+
+          // Verwendungsstelle des Makros (Name, ggf. mit Argumenten)
+          const addMacroToken = (end) => {
+            const token = addToken('preproc', startOffset, end);
+            token.define = defineValue;
+            token.macroName = value;
+            token.macroDefinition = define;
+            return token;
+          };
+
+          // Parametrisiertes Makro: Argumente in Klammern auf derselben Zeile
+          let args = [];
+          if (define.params) {
+            args = scanMacroArguments();
+            if (args === null) {
+              addDiagnosticError(`Makro ${value} erwartet ${define.params.length} Argument(e) in Klammern.`, addMacroToken(endOffset));
+              continue;
+            }
+            if (typeof args === 'string') {
+              addDiagnosticError(`Makro ${value}: ${args}`, addMacroToken(offset));
+              continue;
+            }
+            if (args.length === 1 && define.params.length === 0 && text.slice(args[0].startOffset, args[0].endOffset).trim() === '') {
+              args = [];
+            }
+            if (args.length !== define.params.length) {
+              addDiagnosticError(`Makro ${value} erwartet ${define.params.length} Argument(e), angegeben: ${args.length}.`, addMacroToken(offset));
+              continue;
+            }
+          }
+          const useEndOffset = offset;
+
+          addMacroToken(useEndOffset);
+
+          if (expandingMacros.length === 0) {
+            outermostExpansion = { uri, startOffset, endOffset: useEndOffset };
+          }
+          expandingMacros.push(value);
+          macroArguments.push(new Map((define.params || []).map((param, i) => [param, { uri, text, ...args[i] }])));
+          // Makros aus den Einstellungen und #DEFINE-Konstanten haben keinen Quelltext
+          const defineTokens = define.origin
+            ? tokenize(define.origin.uri, define.origin.text, false, define.origin.startOffset, define.origin.endOffset).tokens
+            : tokenize(uri, defineValue, false).tokens;
+          macroArguments.pop();
+          expandingMacros.pop();
+
+          // Tokenposition korrigieren; die Herkunft im Makrotext bleibt in t.expansions erhalten
+          // (äußerstes Makro zuerst), damit Meldungen auf die Definition verweisen können.
+          defineTokens.forEach( t => {
+            if (t.argumentLevel !== undefined && t.argumentLevel <= macroArguments.length) {
+              if (macroArguments.length === 0) delete t.argumentLevel;
+            }
+            else if (define.origin) {
+              t.expansions = [{ macro: value, uri: t.uri, startOffset: t.startOffset, endOffset: t.endOffset }, ...(t.expansions || [])];
+            }
+            t.uri = uri;
             t.startOffset = startOffset;
-            t.endOffset = endOffset;
+            t.endOffset = useEndOffset;
+            t.macro = value;    // Token stammt aus Makro-Expansion
           });
-          
+
           // In Ergebnis einfügen
           tokens.push(...defineTokens);
           continue;
         }
 
         let type = 'identifier';
-        if (PEARL_KEYWORDS.includes(value))
+        if (dialect.keywords.has(value))
           type = 'keyword';
-        else if (OPERATOR_KEYWORDS.includes(value))
+        else if (dialect.operators.has(value))
           type = 'operator';
-        else if (TYPE_KEYWORDS.includes(value))
+        else if (dialect.types.has(value))
           type = 'type';
         addToken(type, startOffset, endOffset);
         if ( type === 'keyword' ) {
@@ -1901,6 +2290,20 @@ function analyze(uri, text, settings, options) {
 
   const tokenizeData = tokenize(uri, text);
   const tokens = tokenizeData.tokens;
+
+  // Bis Dateiende nicht abgeschlossene #ifdef/#IF
+  for (const branch of preprocStack) {
+    const opening = branch.opening || branch;
+    const closing = /^#IF/.test(opening.value) ? '#FIN' : '#endif';
+    if (opening.uri === uri) {
+      addNestingDiagnostic(DiagnosticSeverity.Error, `${opening.value} ohne abschließendes ${closing}.`, opening, opening);
+    }
+    else {
+      // in einer Include-Datei geöffnet: am Dateiende melden
+      addNestingDiagnostic(DiagnosticSeverity.Error, `${opening.value} (${path.basename(filePathFromUri(opening.uri))}) ohne abschließendes ${closing}.`,
+        { uri, startOffset: text.length, endOffset: text.length }, opening);
+    }
+  }
   const lineStartOffsets = tokenizeData.lineStartOffsets;
   const lineEndOffsets = tokenizeData.lineEndOffsets;
 
@@ -1918,11 +2321,43 @@ function analyze(uri, text, settings, options) {
     let init = false;
     let ident = false;
     let typename = null;
-    let state = 'start';  // dim | dimensions | inv | ref | type | global | init | initval
+    let precision = null;   // FIXED(31), FLOAT(55), CHAR(20), BIT(16)
+    const dimensions = [];  // Feldgrenzen als Text
+    let dimensionText = '';
+    let params = null;      // Parameterliste bei PROC/ENTRY
+    let returns = null;     // RETURNS-Typ bei PROC/ENTRY
+    let state = 'start';  // dim | dimensions | inv | ref | type | global | precision | init | initval
 
     for (let i = startIndex; i <= endIndex; i++) {
       const tt = tokens[i];
       if (tt.type === 'comment' || tt.type === 'inactive') continue;
+
+      // PROC ( Parameter ) bzw. RETURNS ( Typ )
+      if ( state === 'global' && parenLevel === 0 && typename && typename.value === 'PROCEDURE'
+        && ( ( tt.type === 'symbol' && tt.value === '(' && params === null && returns === null )
+          || ( tt.type === 'keyword' && tt.value === 'RETURNS' ) )
+         ) {
+        const openIndex = tt.value === '(' ? i : findNextOpenParenIndex(tokens, i, endIndex);
+        const closeIndex = openIndex >= 0 ? findCloseParenIndex(tokens, openIndex, endIndex) : -1;
+        if (closeIndex >= 0) {
+          if (tt.value === '(') {
+            params = parseParameterList(tokens, openIndex + 1, closeIndex - 1);
+          }
+          else {
+            returns = parseTypeDescription(tokens, openIndex + 1, closeIndex - 1).typeDescription;
+          }
+          for (let j = i; j <= closeIndex; j++) {
+            typeTokens.push(tokens[j]);
+          }
+          i = closeIndex;
+          continue;
+        }
+      }
+
+      if ( state === 'dimensions' && parenLevel === 1 && !( tt.type === 'symbol' && ( tt.value === ',' || tt.value === ')' ) ) ) {
+        dimensionText += tt.value;
+      }
+
       if (tt.type === 'symbol') {
         if (tt.value === ',') {
           if ( parenLevel === 0 ) {
@@ -1932,6 +2367,8 @@ function analyze(uri, text, settings, options) {
           else {
             if ( state === 'dimensions' ) {
               ++arrayDim;
+              dimensions.push(dimensionText);
+              dimensionText = '';
             }
           }
         } 
@@ -1940,15 +2377,28 @@ function analyze(uri, text, settings, options) {
             arrayDim = 1;
             state = 'dimensions';
           }
+          else if ( state === 'global' && parenLevel === 0 && precision === null && typename && typename.type === 'type' ) {
+            state = 'precision';
+          }
           ++parenLevel;
         }
         else if (tt.value === ')') {
-          if ( state === 'dimensions' ) {
+          if ( state === 'dimensions' && parenLevel === 1 ) {
+            dimensions.push(dimensionText);
+            dimensionText = '';
             state = 'inv';
           }
+          else if ( state === 'precision' ) {
+            state = 'global';
+          }
           --parenLevel;
         }
       } 
+      else if (tt.type === 'number') {
+        if ( state === 'precision' ) {
+          precision = parseInt(tt.value, 10);
+        }
+      }
       else if (tt.type === 'keyword') {
         if ( tt.value === 'INV' && ( state === 'start' || state === 'dim' || state === 'inv' ) ) {
           state = 'ref';
@@ -2003,10 +2453,14 @@ function analyze(uri, text, settings, options) {
       typeTokens,
       typeDescription: {
         dim: arrayDim,
+        dimensions,
         inv,
         ref,
         typename: ( typename ? typename.value : '' ),
         typetoken: typename,
+        precision,
+        params,
+        returns,
         global, 
         init,
         ident
@@ -2014,82 +2468,88 @@ function analyze(uri, text, settings, options) {
     };
   }
 
+  function findNextOpenParenIndex(tokens, index, endIndex) {
+    const next = findNextCodeToken(tokens, index);
+    if (next && next.index <= endIndex && next.token.type === 'symbol' && next.token.value === '(') {
+      return next.index;
+    }
+    return -1;
+  }
+
+  function findCloseParenIndex(tokens, openIndex, endIndex) {
+    let parenLevel = 0;
+    for (let i = openIndex; i <= endIndex; i++) {
+      const t = tokens[i];
+      if (t.type !== 'symbol') continue;
+      if (t.value === '(') ++parenLevel;
+      else if (t.value === ')' && --parenLevel === 0) return i;
+    }
+    return -1;
+  }
+
+  /*
+  * Parameterliste einer PROC/ENTRY-Spezifikation: ( [name] typ, ... )
+  */
+  function parseParameterList(tokens, startIndex, endIndex) {
+    const params = [];
+    let segmentStart = startIndex;
+    let parenLevel = 0;
+
+    for (let i = startIndex; i <= endIndex + 1; i++) {
+      const t = i <= endIndex ? tokens[i] : null;
+      if (t && t.type === 'symbol') {
+        if (t.value === '(') ++parenLevel;
+        else if (t.value === ')') --parenLevel;
+      }
+      if (t && !(t.type === 'symbol' && t.value === ',' && parenLevel === 0)) continue;
+
+      // Segment segmentStart .. i-1
+      const first = skipComments(tokens, segmentStart);
+      if (first && first.index < i) {
+        let typeStart = first.index;
+        let name = null;
+        const second = findNextCodeToken(tokens, first.index);
+        if ( first.token.type === 'identifier' && second && second.index < i
+          && ( second.token.type === 'identifier' || second.token.type === 'type'
+            || ( second.token.type === 'keyword' && PARAMETER_TYPE_KEYWORDS.includes(second.token.value) )
+            || ( second.token.type === 'symbol' && second.token.value === '(' ) )
+           ) {
+          name = first.token.value;   // benannter Parameter
+          typeStart = second.index;
+        }
+        const param = parseTypeDescription(tokens, typeStart, i - 1).typeDescription;
+        param.name = name;
+        params.push(param);
+      }
+      segmentStart = i + 1;
+    }
+
+    return params;
+  }
+
   function markTypeAsUsed(scopeStack, typename, typeToken) {
     
-    if (!TYPE_KEYWORDS.includes(typename)
+    if (!dialect.types.has(typename)
         && typename !== 'PROC' && typename !== 'PROCEDURE' && typename !== 'TASK'
         ) {
       const definition = lookupSymbol(scopeStack, typename, 'TYPE');
       if (definition) {
         definition.used = true;
         typeToken.definition = definition;
+        typeToken.scopeStack = scopeStack.slice();
       }
       else {
-        addDiagnosticError(`${typename} nicht definiert.`, typeToken);
+        addUndefinedDiagnostic(typename, typeToken);
       }
     }
   }
 
-  function parseSpcDclTokens(tokens, startIndex, endIndex) {
-    const result = [];
-
-    for (let j = startIndex; j <= endIndex; j++) {
-
-      const nextToken = skipComments(tokens, j);
-      j = nextToken.index;
-      const t = nextToken.token;
-
-      if (t.type === 'symbol' && t.value === '(') {
-        // SPC/DCL (var1,var2) type;
-        const nameTokens = [];
-        let it = endIndex + 1;
-        for (let i = j + 1; i <= endIndex; i++) {
-          const tt = tokens[i];
-          if (tt.type === 'comment' || tt.type === 'inactive') continue;
-          if (tt.type === 'identifier') {
-            nameTokens.push(tt);
-            continue;
-          }
-          if (tt.type === 'symbol') {
-            if (tt.value === ',') continue;
-            if (tt.value === ')') {
-              it = i + 1;
-              break;
-            }
-          }
-          addDiagnosticWarning(`'${tt.value}' nicht erlaubt.`, tt);
-        }
-
-        const typeDescription = parseTypeDescription(tokens, it, endIndex);
-        j = typeDescription.endIndex;
-
-        for (const nameToken of nameTokens) {
-          result.push({nameToken, typeTokens: typeDescription.typeTokens, typeDescription: typeDescription.typeDescription, used: false});
-        }
-        if (typeDescription && typeDescription.typeDescription && typeDescription.typeDescription.typename) {
-          markTypeAsUsed(scopeStack, typeDescription.typeDescription.typename, typeDescription.typeDescription.typetoken);
-        }
-      }
-      else {
-        // SPC/DCL var type;
-        const typeDescription = parseTypeDescription(tokens, j + 1, endIndex);
-        j = typeDescription.endIndex;
-        if (typeDescription && typeDescription.typeDescription && typeDescription.typeDescription.typename) {
-          markTypeAsUsed(scopeStack, typeDescription.typeDescription.typename, typeDescription.typeDescription.typetoken);
-        }
-        result.push({nameToken: t, typeTokens: typeDescription.typeTokens, typeDescription: typeDescription.typeDescription, used: false});
-      }
-    }
-
-    return result;
-  }
-
   function createIdentifier( nameToken, typeTokens, dim, inv, ref, typename, global, init )
   {
     if (typename === 'PROC' || typename === 'ENTRY') {
       typename = 'PROCEDURE';
     }
-    return {
+    const identifier = {
       nameToken,
       typeTokens,
       typeDescription: {
@@ -2102,8 +2562,87 @@ function analyze(uri, text, settings, options) {
       },
       used: global    // Globale Symbole als benutzt markieren
     };
+    nameToken.declaration = identifier;   // Rückverweis für References/Rename
+    return identifier;
   };
 
+  /**
+   * Eintrag in die Dokumentstruktur einhängen (unter den innersten offenen Container).
+   * Offsets beziehen sich auf nameToken.uri.
+   */
+  function addOutlineSymbol(name, kind, detail, nameToken, startToken, endToken) {
+    const node = {
+      name,
+      kind,
+      detail,
+      uri: nameToken.uri,
+      startOffset: startToken.startOffset,
+      endOffset: endToken.endOffset,
+      selectionStartOffset: nameToken.startOffset,
+      selectionEndOffset: nameToken.endOffset,
+      children: []
+    };
+    if (outlineStack.length > 0) {
+      outlineStack[outlineStack.length - 1].children.push(node);
+    }
+    else {
+      outline.push(node);
+    }
+    return node;
+  }
+
+  function openOutlineSymbol(name, kind, detail, nameToken, startToken) {
+    const node = addOutlineSymbol(name, kind, detail, nameToken, startToken, nameToken);
+    outlineStack.push(node);
+    return node;
+  }
+
+  function closeOutlineSymbol(node, endToken) {
+    node.endOffset = endToken.endOffset;
+    const index = outlineStack.lastIndexOf(node);
+    if (index >= 0) {
+      outlineStack.length = index;
+    }
+  }
+
+  function closeOutlineSection(endToken) {
+    if (outlineSection) {
+      closeOutlineSymbol(outlineSection, endToken || outlineSection);
+      outlineSection = null;
+    }
+  }
+
+  function addOutlineDeclaration(identifier, startToken, endToken) {
+    let detail = formatTypeDescription(identifier.typeDescription);
+    if (identifier.typeDescription.global) detail += ' GLOBAL';
+    addOutlineSymbol(identifier.nameToken.value, getOutlineSymbolKind(identifier.typeDescription), detail, identifier.nameToken, startToken, endToken);
+  }
+
+  /**
+   * GLOBAL-Attribut im Kopf einer PROC/TASK (bis zum nächsten ';' außerhalb von Klammern)
+   */
+  function hasGlobalAttribute(tokens, index) {
+    let parenLevel = 0;
+    for (let i = index + 1; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.type === 'symbol') {
+        if (t.value === '(') ++parenLevel;
+        else if (t.value === ')') --parenLevel;
+        else if (t.value === ';' && parenLevel <= 0) break;
+      }
+      else if (t.type === 'keyword' && t.value === 'GLOBAL' && parenLevel === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function pushScope() {
+    const scope = {};
+    scopeStack.push(scope);
+    scopes.push(scope);
+  }
+
   function markUnusedVariables() {
 //connection.console.log(`markUnusedVariables: length ${scopeStack.length}`);
     if ( scopeStack.length > 0 ) {
@@ -2116,804 +2655,3637 @@ function analyze(uri, text, settings, options) {
     }
   }
 
-  let loopVar = undefined;  // für FOR-Loop Laufvariablen
-  for (let i = 0; i < tokens.length; i++) {
-    const t = tokens[i];
-    if (t.offset > stopOffset) break;
-
-    if (t.type === 'comment' || t.type === 'inactive' || t.type === 'string' || t.type === 'bitstring' || t.type === 'number' || t.type === 'error'  || t.type === 'preproc') {
-      continue;
-    }
-
-    // Label-Definition: Identifier gefolgt von ':' (Label, PROC, TASK) oder '(' (Prozeduraufruf)
-    if (t.type === 'identifier') {
-      const next = findNextCodeToken(tokens, i);
-      if (next && next.token.type === 'symbol') {
-        if (next.token.value === ':') {
-          // Prüfen, ob danach PROC/TASK kommt -> dann ist es eine PROC/TASK-Implementierung
-          const afterLabel = findNextCodeToken(tokens, next.index);
-          if (!(afterLabel && afterLabel.token.type === 'keyword' && (afterLabel.token.value === 'PROC' || afterLabel.token.value === 'PROCEDURE' || afterLabel.token.value === 'TASK'))) {
-            // normales Label
-            if ( scopeStack.length >= 2 ) {
-              const currentScope = scopeStack[1];
-              const identifier = createIdentifier(t, [], false, false, false, '@LABEL', false, false);
-logIdentifier( identifier, `@LABEL level: ${scopeStack.length - 1}` );
-              currentScope[t.value] = identifier;   // PROC/TASK ist immer globaler Scope
-            }
-            else {
-              addDiagnosticError(`Label ${t.value} außerhalb von PROC/TASK.`, t);
-            }
-          }
-          continue;
-        }
-        if (next.token.value === '(') {
-          // Prozeduraufruf
-          const definition = lookupSymbol(scopeStack, t.value, 'PROCEDURE');
-          if (definition) {
-            if ( definition.builtin ) {
-              t.builtin = definition.builtin;
-            }
-            else {
-              t.definition = definition;
-              definition.used = true;
-            }
-          }
-          else {
-            addDiagnosticError(`${t.value} nicht definiert.`, t);
-          }
-          i = next.index;
-          continue;
-        }
-      }
-      // Identifier (Verwendung)
-      const definition = lookupSymbol(scopeStack, t.value);
-      if (definition) {
-        if ( definition.builtin ) {
-          t.builtin = definition.builtin;
-        }
-        else {
-          t.definition = definition;
-          definition.used = true;
-        }
-      }
-      else {
-        addDiagnosticError(`${t.value} nicht definiert.`, t);
-      }
+  // ------------------------------
+  // Namensauflösung auf dem AST
+  // ------------------------------
+  //
+  // MODULE, DCL/SPC, TYPE, PROC/TASK samt Parametern, Labels und Laufvariablen werden in die
+  // Scopes eingetragen, Namen über den Scope-Stack an ihrer Stelle im Programm aufgelöst.
+  // Typangaben und Teile, die der Parser nicht zerlegt, werden aus den Tokens gelesen.
+  // Mit stopOffset endet die Auswertung vor dem ersten Knoten dahinter; Scope-Stack und
+  // blockStack bleiben im Zustand an dieser Stelle.
+
+  const parseResult = parsePearl(tokens, { statements: dialect.statements, dialect: dialect.name });
+  const ast = parseResult.ast;
+  const tokenIndex = new Map(tokens.map((t, index) => [t, index]));
+  let stopped = false;
+
+  // Liegt das Token bzw. der Knoten hinter stopOffset?
+  function reached(item) {
+    if (!stopped && item && item.uri === uri && item.startOffset >= stopOffset) {
+      stopped = true;
     }
+    return stopped;
+  }
 
-    if (t.type !== 'keyword') {
-      continue;
-    }
+  function previousCodeToken(token) {
+    const prev = findPreviousCodeToken(tokens, tokenIndex.get(token));
+    return prev && prev.token;
+  }
 
-    const kw = t.value;
+  // Ende eines Blocks: END/FIN/MODEND bzw. das Token, an dem der Parser ihn abgebrochen hat
+  function blockEnd(node) {
+    return node.endToken || node.terminatorToken || null;
+  }
 
-    // ---------------- Blockenden ----------------
-    if (kw === 'END') {
-      if (
-        blockStack.length === 0 ||
-        !END_KEYWORD_MAP.END.includes(blockStack[blockStack.length - 1].keyword)
-      ) {
-        addDiagnosticError('Unerwartetes END ohne passenden Block (TASK/PROC/REPEAT/BEGIN).', t);
-      } else {
-        const startToken = blockStack.pop();
-        if ( startToken.keyword === 'PROC' || startToken.keyword === 'PROCEDURE' || startToken.keyword === 'TASK' ) {
-          // Unbefriedigte Gotos melden
-          gotoList.filter(label => !lookupSymbol(scopeStack, label.value, '@LABEL') ).forEach(label => {
-            addDiagnosticError(`GOTO: Label ${label.value} nicht definiert.`, label);
-          });
+  /**
+   * Block vom blockStack nehmen, samt darin nicht geschlossener Blöcke.
+   * Hat die Auswertung vorher angehalten (endToken null: Block reicht bis zum Dateiende),
+   * bleibt er offen und das Ergebnis ist false.
+   */
+  function closeBlock(entry, endToken) {
+    if (endToken === null && stopOffset !== Number.POSITIVE_INFINITY) {
+      stopped = true;
+    }
+    if (reached(endToken)) return false;
+    const index = blockStack.lastIndexOf(entry);
+    if (index >= 0) {
+      blockStack.length = index;
+    }
+    return true;
+  }
 
-          if ( scopeStack.length == 2 ) {
-            // Referenzierte Labels kennzeichnen
-            const currentScope = scopeStack[scopeStack.length-1];
-            const usedLabels = Object.values( gotoList ).map( label => label.value);
-            usedLabels.forEach(label => {
-              let t = lookupSymbol(scopeStack, label, '@LABEL');
-              if ( t ) {
-                t.used = true;
-              }
-            });
-
-            // Unreferenzierte Labels suchen
-            Object.values( currentScope )
-              .filter( identifier => !identifier.used && identifier.typeDescription && identifier.typeDescription.typename === "@LABEL" )
-              .forEach( identifier => {
-                addDiagnosticWarning(`Label ${identifier.nameToken.value} nicht verwendet.`, identifier.nameToken);
-                addDiagnosticHint( 'inaktiv', identifier.nameToken, [DiagnosticTag.Unnecessary]);
-            });
-          }
+  // Block mit eigenem Scope (PROC/TASK, REPEAT, BEGIN) schließen
+  function closeScope(entry, node) {
+    if (!closeBlock(entry, blockEnd(node))) return false;
+    markUnusedVariables();
+    if (scopeStack.length > 1) scopeStack.pop();
+    return true;
+  }
 
-        }
+  function useDefinition(token, definition) {
+    if (definition.builtin) {
+      token.builtin = definition.builtin;
+    }
+    else {
+      token.definition = definition;
+      token.scopeStack = scopeStack.slice();   // an der Verwendung sichtbare Scopes (für Rename)
+      definition.used = true;
+    }
+  }
 
-        // unbenutzte Variablen etc. suchen
-        markUnusedVariables();
+  function resolveName(token) {
+    const definition = lookupSymbol(scopeStack, token.value);
+    if (definition) {
+      useDefinition(token, definition);
+    }
+    else {
+      addUndefinedDiagnostic(token.value, token);
+    }
+  }
 
-        if (scopeStack.length > 1) scopeStack.pop();
-       
-        foldingRanges.push({
-          startOffset: startToken.token.startOffset,
-          startUri: startToken.token.uri,
-          endOffset: t.startOffset,
-          endUri: t.uri,
-          kind: 'region',
-          collapsedText: '...'
-        });
-      }
-      continue;
-    } 
-
-    if (kw === 'ELSE') {
-      if (
-        blockStack.length === 0 ||
-        !END_KEYWORD_MAP.ELSE.includes(blockStack[blockStack.length - 1].keyword)
-      ) {
-        addDiagnosticError('Unerwartetes ELSE ohne passenden Block (IF).', t);
-      } else {
-        const startToken = blockStack.pop();
-        foldingRanges.push({
-          startOffset: startToken.token.startOffset,
-          startUri: startToken.token.uri,
-          endOffset: t.startOffset,
-          endUri: t.uri,
-          kind: 'region',
-          collapsedText: '...'
-        });
-        blockStack.push({ keyword: kw, token: t });
+  // Name vor '(': Prozeduraufruf oder Feldzugriff
+  function resolveCallee(token) {
+    let definition = lookupSymbol(scopeStack, token.value, 'PROCEDURE');
+    if (!definition) {
+      const variable = lookupSymbol(scopeStack, token.value);
+      if (variable && variable.typeDescription && variable.typeDescription.dim > 0) {
+        definition = variable;
       }
-      continue;
     }
-    
-    if (kw === 'FIN') {
-      if (
-        blockStack.length === 0 ||
-        !END_KEYWORD_MAP.FIN.includes(blockStack[blockStack.length - 1].keyword)
-      ) {
-        addDiagnosticError('Unerwartetes FIN ohne passenden Block (IF/CASE).', t);
-      } else {
-        const startToken = blockStack.pop();
-        foldingRanges.push({
-          startOffset: startToken.token.startOffset,
-          startUri: startToken.token.uri,
-          endOffset: t.startOffset,
-          endUri: t.uri,
-          kind: 'region',
-          collapsedText: '...'
-        });
-      }
-      continue;
+    if (definition) {
+      useDefinition(token, definition);
     }
-    
-    if (kw === 'MODEND') {
-      if (
-        blockStack.length !== 1 ||
-        !END_KEYWORD_MAP.MODEND.includes(blockStack[blockStack.length - 1].keyword)
-      ) {
-        addDiagnosticError('Unerwartetes MODEND ohne passenden Block (MODULE/SHELLMODULE).', t);
-      } else {
-        modendFound = true;
-        const startToken = blockStack.pop();
-        markUnusedVariables();
-        if (scopeStack.length > 1) scopeStack.pop();
-        foldingRanges.push({
-          startOffset: startToken.token.startOffset,
-          startUri: startToken.token.uri,
-          endOffset: t.startOffset,
-          endUri: t.uri,
-          kind: 'region',
-          collapsedText: '...'
-        });
-      }
-      continue;
+    else {
+      addUndefinedDiagnostic(token.value, token);
     }
+  }
 
-    // ---------------- DCL-Statement ----------------
-    if (kw === 'DCL' || kw === 'DECLARE') {
-      const semicolon = findNextSemicolonToken(tokens, i);
-      if ( semicolon ) {
-        let endIndex = semicolon.index;
-        const parsedSpc = parseSpcDclTokens(tokens, i + 1, endIndex - 1);
-
-        const currentScope = scopeStack[scopeStack.length - 1];
-        for (const dclName of parsedSpc) {
-logIdentifier( dclName, `DCL level: ${scopeStack.length - 1}` );
-          const nameToken = dclName.nameToken;
-          if (currentScope[dclName.nameToken.value]) {
-            addDiagnosticError(`Variable ${nameToken.value} existiert bereits.`, nameToken);
-          }
-          else {
-            currentScope[dclName.nameToken.value] = dclName;   
-          }
-        }
-        i = endIndex;
+  /**
+   * Namen in Tokens, die der Parser nicht zerlegt (Anweisungen ohne eigene Syntax, TASK-Kopf, Formate).
+   * parenthesizedOnly: nur Namen in Klammern, z.B. die Breite in F(Breite)
+   */
+  function bindTokens(startIndex, endIndex, parenthesizedOnly = false) {
+    let parenLevel = 0;
+    for (let i = startIndex; i <= endIndex; i++) {
+      const t = tokens[i];
+      if (reached(t)) return;
+      if (t.type === 'symbol') {
+        if (t.value === '(') ++parenLevel;
+        else if (t.value === ')') --parenLevel;
+        continue;
+      }
+      if (t.type !== 'identifier' || (parenthesizedOnly && parenLevel <= 0)) continue;
+      const next = findNextCodeToken(tokens, i);
+      if (next && next.index <= endIndex && next.token.type === 'symbol' && next.token.value === '(') {
+        resolveCallee(t);
+      }
+      else {
+        resolveName(t);
       }
-      continue;
     }
+  }
 
-    // ---------------- SPC / SPECIFY ----------------
-    if (kw === 'SPC' || kw === 'SPECIFY') {
-      const semicolon = findNextSemicolonToken(tokens, i);
-      if ( semicolon ) {
-        let endIndex = semicolon.index;
-        const parsedSpc = parseSpcDclTokens(tokens, i + 1, endIndex - 1);
+  // Tokens einer Anweisung vom Schlüsselwort bis vor das Semikolon
+  function bindStatementTokens(keywordToken, parenthesizedOnly = false) {
+    const keywordIndex = tokenIndex.get(keywordToken);
+    const semicolon = findNextSemicolonToken(tokens, keywordIndex);
+    bindTokens(keywordIndex + 1, semicolon ? semicolon.index - 1 : tokens.length - 1, parenthesizedOnly);
+  }
 
-        const currentScope = scopeStack[scopeStack.length - 1];
-        for (const spcName of parsedSpc) {
-//logIdentifier( spcName, `SPC level: ${scopeStack.length - 1}` );
-          currentScope[spcName.nameToken.value] = spcName;   // SPC ist immer globaler Scope
+  function bindExpression(node) {
+    if (!node || reached(node)) return;
+    switch (node.type) {
+      case 'Name':
+        resolveName(node.token);
+        break;
+      case 'Call':
+        if (node.callee.type === 'Name') {
+          resolveCallee(node.callee.token);
+        }
+        else {
+          bindExpression(node.callee);
+        }
+        node.args.forEach(bindExpression);
+        break;
+      case 'Member':
+        // Komponenten gehören zum Strukturtyp, nicht in einen Scope
+        bindExpression(node.object);
+        break;
+      case 'Unary':
+        if (node.operatorToken.type === 'identifier') {
+          resolveName(node.operatorToken);   // SIN x, ABS x, ...
         }
+        bindExpression(node.operand);
+        break;
+      case 'Binary':
+        bindExpression(node.left);
+        bindExpression(node.right);
+        break;
+      case 'Parenthesized':
+        bindExpression(node.expression);
+        break;
+      case 'Range':
+        bindExpression(node.from);
+        bindExpression(node.to);
+        break;
+    }
+  }
 
-        i = endIndex;
-      }
-      continue;
+  /**
+   * Namen einer DCL/SPC-Angabe bzw. eines PROC-Parameters. Die Typangabe dahinter (bis zum
+   * nächsten ',' auf gleicher Klammerebene, höchstens bis endIndex) wird aus den Tokens gelesen.
+   */
+  function declareNames(names, endIndex) {
+    let typeIndex = tokenIndex.get(names[names.length - 1].token) + 1;
+    const next = skipComments(tokens, typeIndex);
+    if (next && next.index <= endIndex && next.token.type === 'symbol' && next.token.value === ')') {
+      typeIndex = next.index + 1;   // (name, name) typ
     }
+    const parsedType = parseTypeDescription(tokens, typeIndex, endIndex);
+    const typeDescription = parsedType.typeDescription;
+    if (typeDescription.typename) {
+      markTypeAsUsed(scopeStack, typeDescription.typename, typeDescription.typetoken);
+    }
+    return names.map(name => {
+      const identifier = {nameToken: name.token, typeTokens: parsedType.typeTokens, typeDescription, used: false};
+      name.token.declaration = identifier;
+      return identifier;
+    });
+  }
 
-    // ---------------- Blockstarts & Deklarationen ----------------
-    if (kw === 'MODULE' || kw === 'SHELLMODULE') {
-      const next = findNextCodeToken(tokens, i);
-      if (next && next.token.type === 'identifier') {
-        let endIndex = next.index;
-        const identifier = createIdentifier( next.token, [], false, false, false, kw, false, false );
-        identifier.used = true; // MODULE/SHELLMODULE ist 'used', weil nach außen sichtbar
-        const currentScope = scopeStack[0];
-        currentScope[next.token.value] = identifier;   // MODULE/SHELLMODULE ist immer globaler Scope
-        i = endIndex;
-      }
-      // Blockstart, keine speziellen Deklarationen
-      blockStack.push({ keyword: kw, token: t });
-      continue;
+  function declareLabel(token) {
+    if (scopeStack.length >= 2) {
+      const currentScope = scopeStack[1];
+      const identifier = createIdentifier(token, [], false, false, false, '@LABEL', false, false);
+logIdentifier( identifier, `@LABEL level: ${scopeStack.length - 1}` );
+      currentScope[token.value] = identifier;   // PROC/TASK ist immer globaler Scope
+      const colon = findNextCodeToken(tokens, tokenIndex.get(token));
+      addOutlineSymbol(token.value, SymbolKind.Key, 'Label', token, token, colon ? colon.token : token);
     }
+    else {
+      addDiagnosticError(`Label ${token.value} außerhalb von PROC/TASK.`, token);
+    }
+  }
 
-    if (kw === 'IF' || kw === 'CASE') {
-      // Blockstart, keine speziellen Deklarationen
-      blockStack.push({ keyword: kw, token: t });
-      continue;
+  function bindStatements(statements) {
+    for (const statement of statements) {
+      if (reached(statement)) return;
+      bindStatement(statement);
+    }
+  }
+
+  function bindStatement(node) {
+    const labels = node.labels || [];
+    const procedureName = node.type === 'Procedure' ? labels[labels.length - 1] : null;
+    labels.filter(label => label !== procedureName).forEach(label => declareLabel(label.token));
+
+    switch (node.type) {
+      case 'Module':
+        bindModule(node);
+        break;
+      case 'Procedure':
+        bindProcedure(node, procedureName);
+        break;
+      case 'Declaration':
+        bindDeclaration(node);
+        break;
+      case 'TypeDeclaration':
+        bindTypeDeclaration(node);
+        break;
+      case 'IfStatement': {
+        let entry = { keyword: 'IF', token: node.keywordToken };
+        blockStack.push(entry);
+        bindExpression(node.condition);
+        bindStatements(node.thenBody);
+        if (node.elseToken && closeBlock(entry, node.elseToken)) {
+          entry = { keyword: 'ELSE', token: node.elseToken };
+          blockStack.push(entry);
+          bindStatements(node.elseBody);
+        }
+        closeBlock(entry, blockEnd(node));
+        break;
+      }
+      case 'CaseStatement': {
+        const entry = { keyword: 'CASE', token: node.keywordToken };
+        blockStack.push(entry);
+        bindExpression(node.selector);
+        for (const alternative of node.alternatives) {
+          if (reached(alternative)) break;
+          alternative.values.forEach(bindExpression);
+          bindStatements(alternative.body);
+        }
+        if (node.outBody && !reached(node.outToken)) {
+          bindStatements(node.outBody);
+        }
+        closeBlock(entry, blockEnd(node));
+        break;
+      }
+      case 'LoopStatement':
+        bindLoop(node);
+        break;
+      case 'BlockStatement': {
+        const entry = { keyword: 'BEGIN', token: node.keywordToken };
+        blockStack.push(entry);
+        pushScope();
+        bindStatements(node.body);
+        closeScope(entry, node);
+        break;
+      }
+      case 'GotoStatement':
+        if (node.label) {
+          gotoList.push(node.label.token);   // Prüfung am Ende der PROC/TASK
+        }
+        break;
+      case 'ReturnStatement':
+        bindExpression(node.value);
+        break;
+      case 'ExitStatement':
+        if (node.label) {
+          resolveName(node.label.token);
+        }
+        break;
+      case 'CallStatement':
+        bindCall(node);
+        break;
+      case 'TaskStatement':
+        bindTaskStatement(node);
+        break;
+      case 'SynchronizationStatement':
+        bindSynchronizationStatement(node);
+        break;
+      case 'IoStatement':
+        node.operands.forEach(bindExpression);
+        bindExpression(node.dation);
+        if (node.formats && !reached(node.formats)) {
+          bindStatementTokens(node.formats.keywordToken, true);
+        }
+        break;
+      case 'Assignment':
+        bindExpression(node.target);
+        bindExpression(node.value);
+        break;
+      case 'KeywordStatement':
+        bindStatementTokens(node.keywordToken);
+        break;
+    }
+  }
+
+  function bindModule(node) {
+    const nameToken = node.name ? node.name.token : node.keywordToken;
+    if (node.name) {
+      const identifier = createIdentifier( nameToken, [], false, false, false, node.keyword, false, false );
+      identifier.used = true; // MODULE/SHELLMODULE ist 'used', weil nach außen sichtbar
+      scopeStack[0][nameToken.value] = identifier;   // MODULE/SHELLMODULE ist immer globaler Scope
     }
+    const outlineNode = openOutlineSymbol(nameToken.value, SymbolKind.Module, node.keyword, nameToken, node.keywordToken);
+    const entry = { keyword: node.keyword, token: node.keywordToken, outline: outlineNode };
+    blockStack.push(entry);
+
+    bindStatements(node.body);
+    for (const part of node.parts) {
+      if (reached(part.keywordToken)) return;
+      closeOutlineSection(previousCodeToken(part.keywordToken));
+      outlineSection = openOutlineSymbol(part.keywordToken.value, SymbolKind.Namespace, '', part.keywordToken, part.keywordToken);
+      bindStatements(part.body);
+    }
+
+    if (!closeBlock(entry, blockEnd(node)) || !node.endToken) return;
+    modendFound = true;
+    markUnusedVariables();
+    closeOutlineSection(previousCodeToken(node.endToken));
+    closeOutlineSymbol(outlineNode, node.endToken);
+  }
 
-    if (kw === 'SYSTEM' || kw === 'PROBLEM') {
-      const semicolon = findNextCodeToken(tokens, i);
-      const nextSemicolon = findNextSemicolonToken(tokens, i);
-      if (blockStack.length!==1 || (blockStack[0].keyword !== 'MODULE' && blockStack[0].keyword !== 'SHELLMODULE' ) ) {
-        addDiagnosticError('Unerwartetes SYSTEM ohne passenden Block (MODULE/SHELLMODULE).', t);
+  /**
+   * name: PROC (parameter) RETURNS (typ) GLOBAL; ... END;   name: TASK PRIO n; ... END;
+   */
+  function bindProcedure(node, nameNode) {
+    const kind = node.keywordToken.value;
+    const keywordIndex = tokenIndex.get(node.keywordToken);
+    const headerEnd = findNextSemicolonToken(tokens, keywordIndex);
+    const entry = { keyword: kind, token: node.keywordToken };
+    gotoList = [];
+
+    if (nameNode && scopeStack.length === 1) {
+      // Nur global erlaubt
+      const currentScope = scopeStack[0];
+      const colon = findNextCodeToken(tokens, tokenIndex.get(nameNode.token));
+      const typeTokens = [ nameNode.token, colon.token, node.keywordToken ];
+      const identifier = createIdentifier( nameNode.token, typeTokens, false, false, false, kind, false, false );
+      identifier.used = ( kind === 'TASK' );    // immer setzen, weil TASK nach außen sichtbar ist.
+      identifier.statement = node.kind;
+      if (hasGlobalAttribute(tokens, keywordIndex)) {
+        identifier.used = identifier.typeDescription.global = true;
       }
-      if (semicolon && (!nextSemicolon || nextSemicolon.index !== semicolon.index) ) {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, semicolon.token);
+      if (node.kind === 'PROC' && headerEnd) {
+        // Signatur (Parameter, RETURNS) für modulübergreifende Typprüfung
+        const header = parseTypeDescription(tokens, keywordIndex, headerEnd.index - 1).typeDescription;
+        identifier.typeDescription.params = header.params || [];
+        identifier.typeDescription.returns = header.returns;
+        if (header.returns && header.returns.typename) {
+          markTypeAsUsed(scopeStack, header.returns.typename, header.returns.typetoken);
+        }
+      }
+logIdentifier( identifier, `${kind} level: ${scopeStack.length - 1}` );
+      const specification = currentScope[nameNode.name];
+      if (specification && specification.typeDescription.typename === identifier.typeDescription.typename) {
+        // SPC P PROC; ... P: PROC; -> beide Einträge gehören zum selben Symbol
+        identifier.specification = specification;
+        specification.implementation = identifier;
       }
-      if ( semicolon )
-        i = semicolon.index;
+      currentScope[nameNode.name] = identifier;
+      entry.outline = openOutlineSymbol(nameNode.name, getOutlineSymbolKind(identifier.typeDescription), kind, nameNode.token, nameNode.token);
+    }
+    else if (nameNode) {
+      addDiagnosticError(`${kind} '${nameNode.name}' nur global erlaubt.`, nameNode.token);
     }
 
-    // ---------------- Blockstarts & Deklarationen ----------------
-    if (kw === 'TYPE') {
-      // TYPE TypBezeichner Typ
-      const typeIdentifier = findNextCodeToken(tokens, i);
-      typ = findNextCodeToken(tokens,typeIdentifier.index);
-      semicolon = findNextSemicolonToken(tokens,typ.index);
-      if (
-        typeIdentifier &&
-        typeIdentifier.token.type === 'identifier' &&
-        semicolon
-      ) {
-        const typeName = typeIdentifier.token.value;
+    blockStack.push(entry);
+    pushScope();
 
+    if (node.params.length > 0) {
+      const open = findNextCodeToken(tokens, keywordIndex);
+      const close = findMatchingParenToken(tokens, open.index);
+      if (close) {
         const currentScope = scopeStack[scopeStack.length - 1];
-        const typeTokens = [ typ.token, t ];
-        const identifier = createIdentifier( typeIdentifier.token, typeTokens, false, false, false, 'TYPE', false, false );
-        const typeDescription = parseTypeDescription(tokens, typeName.index, semicolon.index);        
-//        identifier.typeDescription = typeDescription;
-logIdentifier( identifier, `TYPE level: ${scopeStack.length - 1}` );
-        currentScope[typeName] = identifier;
-        i = semicolon.index;
+        for (const param of node.params.filter(param => param.names.length > 0)) {
+          for (const identifier of declareNames(param.names, close.index - 1)) {
+            currentScope[identifier.nameToken.value] = identifier;
+            const lastTypeToken = identifier.typeTokens[identifier.typeTokens.length - 1] || identifier.nameToken;
+            addOutlineDeclaration(identifier, identifier.nameToken, lastTypeToken);
+          }
+        }
       }
+    }
+    else if (node.kind === 'TASK') {
+      bindStatementTokens(node.keywordToken);   // PRIO-Ausdruck
+    }
 
-      continue;
+    bindStatements(node.body);
+    if (!closeBlock(entry, blockEnd(node))) return;
+
+    // Unbefriedigte Gotos melden
+    gotoList.filter(label => !lookupSymbol(scopeStack, label.value, '@LABEL') ).forEach(label => {
+      addDiagnosticError(`GOTO: Label ${label.value} nicht definiert.`, label);
+    });
+
+    if ( scopeStack.length == 2 ) {
+      // Referenzierte Labels kennzeichnen
+      const currentScope = scopeStack[scopeStack.length-1];
+      gotoList.forEach(label => {
+        const definition = lookupSymbol(scopeStack, label.value, '@LABEL');
+        if ( definition ) {
+          definition.used = true;
+          label.definition = definition;
+          label.scopeStack = scopeStack.slice();
+        }
+      });
+
+      // Unreferenzierte Labels suchen
+      Object.values( currentScope )
+        .filter( identifier => !identifier.used && identifier.typeDescription && identifier.typeDescription.typename === "@LABEL" )
+        .forEach( identifier => {
+          addDiagnosticWarning(`Label ${identifier.nameToken.value} nicht verwendet.`, identifier.nameToken);
+          addDiagnosticHint( 'inaktiv', identifier.nameToken, [DiagnosticTag.Unnecessary]);
+      });
     }
-//xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx    
-    // PROC/TASK als Implementierung oder Deklaration
-    if (kw === 'PROC' || kw === 'PROCEDURE' || kw === 'TASK') {
-      const kind = kw;
-
-      // name : PROC/TASK
-      const prev = findPreviousCodeToken(tokens, i);
-      const prev2 = prev ? findPreviousCodeToken(tokens, prev.index) : null;
-      if (
-        prev &&
-        prev.token.type === 'symbol' &&
-        prev.token.value === ':' &&
-        prev2 &&
-        prev2.token.type === 'identifier'
-      ) {
-        const labelName = prev2.token.value;
-        // Deklaration
-        gotoList = [];
-
-        if ( scopeStack.length == 1 )
-        {
-          // Nur global erlaubt
-          const currentScope = scopeStack[scopeStack.length - 1];
-          const typeTokens = [ prev2.token, prev.token, t ];
-          const identifier = createIdentifier( prev2.token, typeTokens, false, false, false, kind, false, false );
-          identifier.used = ( kw === 'TASK' );    // immer setzen, weil TASK nach außen sichtbar ist.
-logIdentifier( identifier, `${kind} level: ${scopeStack.length - 1}` );
-          currentScope[labelName] = identifier;   // PROC/TASK ist immer globaler Scope
-
-          // Blockstart
-          blockStack.push({ keyword: kind, token: t });
-          scopeStack.push({});
-
-          // PROC-Parameter aus Header (Text von PROC bis zum nächsten ')')
-          if (kind === 'PROC' || kind === 'PROCEDURE') {
-            let nextTok = findNextCodeToken(tokens, i);
-            if (nextTok && nextTok.token.type === 'symbol' && nextTok.token.value === '(') {
-              const closeParen = findMatchingParenToken(tokens, nextTok.index );
-              if ( closeParen ) {
-                const parsedParam = parseSpcDclTokens(tokens, nextTok.index + 1, closeParen.index - 1);
-                const currentScope = scopeStack[scopeStack.length - 1];
-                for (const paramName of parsedParam) {
-//logIdentifier( paramName, `Param level: ${scopeStack.length - 1}` );
-                  currentScope[paramName.nameToken.value] = paramName;
-                }
-
-                // ... [RETURNS( type )] [GLOBAL];
-                nextTok = findNextCodeToken(tokens, i = closeParen.index);
-                if (nextTok && nextTok.token.type === 'keyword') {
-                  if (nextTok.token.value === 'RETURNS') {
-                    nextTok = findNextCodeToken(tokens, i = nextTok.index);
-                    if (nextTok && nextTok.token.type === 'symbol' && nextTok.token.value === '(') {
-                      const openIndex = nextTok.index;
-                      const closeParen = findMatchingParenToken(tokens, nextTok.index );
-                      if ( closeParen ) {
-                        const nextTok = findNextCodeToken(tokens, i = openIndex);
-                        const typeDescription = parseTypeDescription(tokens, nextTok.index, closeParen.index);
-                        i = closeParen.index;
-                      }
-                      else {
-                        addDiagnosticError(`) erwartet.`, nextTok.token);
-                      }
-                    }
-                    else {
-                      addDiagnosticError(`( erwartet.`, nextTok.token);
-                    }
-                  }
-                  if (nextTok.token.value === 'GLOBAL') {
-                    identifier.used = identifier.typeDescription.global = true;
-                    i = nextTok.index;
-                  }
-                }
-                continue;
-              }
-            }
+
+    // unbenutzte Variablen etc. suchen
+    markUnusedVariables();
+    if (scopeStack.length > 1) scopeStack.pop();
+
+    if (entry.outline && node.endToken) {
+      closeOutlineSymbol(entry.outline, node.endToken);
+    }
+  }
+
+  function bindDeclaration(node) {
+    const semicolon = findNextSemicolonToken(tokens, tokenIndex.get(node.keywordToken));
+    if (!semicolon) return;
+    const statement = node.keyword === 'DCL' || node.keyword === 'DECLARE' ? 'DCL' : 'SPC';
+    const currentScope = scopeStack[scopeStack.length - 1];
+
+    for (const item of node.items.filter(item => item.names.length > 0)) {
+      item.init.forEach(bindExpression);
+      for (const identifier of declareNames(item.names, semicolon.index - 1)) {
+        const nameToken = identifier.nameToken;
+        if (statement === 'DCL') {
+logIdentifier( identifier, `DCL level: ${scopeStack.length - 1}` );
+          if (currentScope[nameToken.value]) {
+            addDiagnosticError(`Variable ${nameToken.value} existiert bereits.`, nameToken);
+          }
+          else {
+            currentScope[nameToken.value] = identifier;
           }
         }
         else {
-          addDiagnosticError(`${kind} '${prev2.token.value}' nur global erlaubt. ${scopeStack.length}`, prev2.token);
+          currentScope[nameToken.value] = identifier;   // SPC ist immer globaler Scope
         }
+        identifier.statement = statement;
+        addOutlineDeclaration(identifier, node.keywordToken, semicolon.token);
       }
+    }
+  }
 
-      continue;
+  // TYPE TypBezeichner Typ;
+  function bindTypeDeclaration(node) {
+    if (!node.name) return;
+    const nameIndex = tokenIndex.get(node.name.token);
+    const typ = findNextCodeToken(tokens, nameIndex);
+    const semicolon = findNextSemicolonToken(tokens, nameIndex);
+    if (!typ || !semicolon) return;
+
+    const typeTokens = [ typ.token, node.keywordToken ];
+    const identifier = createIdentifier( node.name.token, typeTokens, false, false, false, 'TYPE', false, false );
+logIdentifier( identifier, `TYPE level: ${scopeStack.length - 1}` );
+    scopeStack[scopeStack.length - 1][node.name.name] = identifier;
+    addOutlineSymbol(node.name.name, getOutlineSymbolKind(identifier.typeDescription), typ.token.value, node.name.token, node.keywordToken, semicolon.token);
+  }
+
+  /**
+   * [FOR i] [FROM a] [BY b] [TO c] [WHILE bed] REPEAT ... END;
+   * Eigener Scope, bei FOR mit der Laufvariablen
+   */
+  function bindLoop(node) {
+    const clauses = [node.from, node.by, node.to, node.while];
+    if (!node.repeatToken) {
+      clauses.forEach(bindExpression);   // Syntaxfehler, siehe Parser
+      return;
     }
 
-    if (kw === 'FOR') {
-      const next = findNextCodeToken(tokens, i);
-      if (next && next.token.type === 'identifier') {
-        loopVar = next;
-        blockStack.push({ keyword: 'REPEAT', token: t });
-        scopeStack.push({});
-        const identifier = createIdentifier( next.token, [], false, false, false, 'FIXED', false, false );
-        const currentScope = scopeStack[scopeStack.length - 1];
-        currentScope[next.token.value] = identifier;
-        i = next.index + 1;
-      }
-      continue;
+    const entry = { keyword: 'REPEAT', token: node.variable ? node.keywordToken : node.repeatToken };
+    if (node.variable) {
+      blockStack.push(entry);
+      pushScope();
+      const identifier = createIdentifier( node.variable.token, [], false, false, false, 'FIXED', false, false );
+      scopeStack[scopeStack.length - 1][node.variable.name] = identifier;
+    }
+    clauses.forEach(bindExpression);
+    if (!node.variable) {
+      if (reached(node.repeatToken)) return;
+      blockStack.push(entry);
+      pushScope();
     }
 
-    // REPEAT immer als Blockstart
-    if (kw === 'REPEAT') {
-      if (!loopVar) {
-        blockStack.push({ keyword: kw, token: t });
-        scopeStack.push({});
-      }
-      loopVar = undefined;
-      continue;
+    bindStatements(node.body);
+    closeScope(entry, node);
+  }
+
+  // CALL name[(argumente)];   name[(argumente)];
+  function bindCall(node) {
+    const call = node.callee && node.callee.type === 'Call' ? node.callee : null;
+    const name = call ? call.callee : node.callee;
+    if (!node.explicit || !name || name.type !== 'Name') {
+      bindExpression(node.callee);
+      return;
     }
 
-    // BEGIN immer als Blockstart
-    if (kw === 'BEGIN') {
-      blockStack.push({ keyword: kw, token: t });
-      scopeStack.push({});
-      continue;
+    const definition = lookupSymbol(scopeStack, name.name, 'PROCEDURE');
+    if (definition) {
+      useDefinition(name.token, definition);
     }
-    // ---------------- Aufrufe & Operationen ----------------
-
-    // CALL PROC
-    if (kw === 'CALL') {
-      const proc = findNextCodeToken(tokens, i);
-      if (proc && proc.token.type === 'identifier') {
-        const name = proc.token.value;
-        const sym = lookupSymbol(scopeStack, name, 'PROCEDURE');
-        if (sym) {
-          if ( sym.builtin ) {
-            proc.token.builtin = sym.builtin;
-          }
-          else {
-            proc.token.definition = sym;
-            sym.used = true;
-          }
+    else {
+      addDiagnosticError(`Aufruf von '${name.name}' ohne passende PROC-Deklaration (PROC/DCL PROC/SPC PROC/ENTRY).`, name.token);
+    }
+    if (call) {
+      call.args.forEach(bindExpression);
+    }
+  }
+
+  /**
+   * [Einplanung] ACTIVATE taskname [PRIO prio];   PREVENT/TERMINATE/SUSPEND [taskname];
+   * CONTINUE [taskname] [PRIO prio];   RESUME;
+   */
+  function bindTaskStatement(node) {
+    node.schedule.forEach(clause => bindExpression(clause.value));
+    if (!node.keywordToken || reached(node.keywordToken)) return;
+
+    const kw = node.keyword;
+    const options = TASK_CTRL_KEYWORDS[kw];
+    if (node.task) {
+      const name = node.task.name;
+      const sym = lookupSymbol(scopeStack, name, 'TASK');
+      if (sym) {
+        if (options.task === true || options.task === 'opt' ) {
+          useDefinition(node.task.token, sym);
         }
         else {
-          addDiagnosticError(`Aufruf von '${name}' ohne passende PROC-Deklaration (PROC/DCL PROC/SPC PROC/ENTRY).`, proc.token);
+          // options.task === false
+          addDiagnosticError(`${kw} darf nur ohne TASK verwendet werden.`, node.task.token);
         }
-        i = proc.index;
       }
       else {
-        addDiagnosticError(`${kw}: Bezeichner (PROC/PROCEDURE/ENTRY) erwartet.`, proc.token);
+        addDiagnosticError(`TASK '${name}' wird mit ${kw} verwendet, es existiert aber keine TASK-Deklaration (TASK/SPC TASK).`, node.task.token);
       }
-      continue;
+    }
+    else if (options.task === true) {
+      addDiagnosticError(`TASK-Name erwartet.`, node.keywordToken);
+    }
+
+    if (node.priorityToken && options.prio === false) {
+      addDiagnosticError(`Schlüsselwort PRIO nicht erlaubt bei ${kw}.`, node.priorityToken);
+    }
+    bindExpression(node.priority);
+  }
+
+  /**
+   * SEMASET wert, sema;   REQUEST/RELEASE sema, ...;   ENTER/LEAVE/RESERVE/FREE bolt, ...;
+   */
+  function bindSynchronizationStatement(node) {
+    const kw = node.keyword;
+    const kind = BOLT_OP_KEYWORDS.includes(kw) ? 'BOLT' : 'SEMA';
+    let operands = node.operands;
+
+    if (kw === 'SEMASET') {
+      const value = operands[0];
+      if (value && !(value.type === 'Literal' && value.kind === 'fixed')) {
+        addDiagnosticErrorPos(`SEMASET Preset-Wert ist ungültig.`, value.uri, value.startOffset, value.endOffset);
+      }
+      bindExpression(value);
+      operands = operands.slice(1);
     }
 
-    if (kw === 'GOTO') {
-      const label = findNextCodeToken(tokens, i);
-      const semicolon = findNextCodeToken(tokens, label.index);
-      const nextSemicolon = findNextSemicolonToken(tokens, i);
-      if (label && label.token.type === 'identifier') {
-        gotoList.push( label.token );
+    for (const operand of operands) {
+      const name = operand.type === 'Call' ? operand.callee : operand;
+      if (name.type !== 'Name' || reached(name)) {
+        bindExpression(operand);
+        continue;
+      }
+      const sym = lookupSymbol(scopeStack, name.name, kind);
+      if (sym) {
+        useDefinition(name.token, sym);
       }
       else {
-        addDiagnosticError(`${kw}: Bezeicher (Label) erwartet.`, label.token);
+        addDiagnosticError(`${kind} '${name.name}' wird mit ${kw} verwendet, es existiert aber keine ${kind}-Deklaration (DCL/SPC ${kind}).`, name.token);
       }
-      if (semicolon && (!nextSemicolon || nextSemicolon.index !== semicolon.index) ) {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, semicolon.token);
+      if (operand.type === 'Call') {
+        operand.args.forEach(bindExpression);
       }
-      if ( semicolon )
-        i = semicolon.index;
-      continue;
     }
+  }
 
-    // TASK-Operationen
-    if (Object.hasOwn(TASK_CTRL_KEYWORDS,kw)) {
-      // ... ACTIVATE taskname [ PRIO prio ];
-      // PREVENT [ taskname ];
-      // TERMINATE [ taskname ];
-      // SUSPEND [ taskname ];
-      // ... CONTINUE [taskname] [ PRIO prio ];
-      // RESUME;
-      const options = TASK_CTRL_KEYWORDS[kw];
-      let next = findNextCodeToken(tokens, i);
-      if (next && next.token.type === 'identifier') {
-        const name = next.token.value;
-        const sym = lookupSymbol(scopeStack, name, 'TASK');
-        if (sym) {
-          if (options.task === true || options.task === 'opt' ) {
-            next.token.definition = sym;
-            sym.used = true;
-          }
-          else {
-            // options.task === false
-            addDiagnosticError(`${kw} darf nur ohne TASK verwendet werden.`, next.token);
-          }
+  bindStatements(ast.body);
+
+  // unbenutze globale Variablen suchen
+  if (!modendFound) {
+//    connection.console.log( 'globale unbenutzte Variablen: -------');
+    markUnusedVariables();
+  }
+
+  // Syntaxfehler, Typprüfung und Folding (nur bei vollständiger Analyse)
+  let builtinOverloads = new Map();
+  if (stopOffset === Number.POSITIVE_INFINITY) {
+    // Zeilen mit Fehlern der Tokenanalyse nicht doppelt melden
+    const errorLines = new Set(diagnostics
+      .filter(d => d.severity === DiagnosticSeverity.Error)
+      .map(d => d.range.start.line));
+    const doc = documentRegistry.get(uri);
+    for (const error of parseResult.errors) {
+      if (doc && error.token.uri === uri && errorLines.has(doc.positionAt(error.token.startOffset).line)) continue;
+      addDiagnosticError(error.message, error.token);
+      if (error.token.uri === uri && doc) errorLines.add(doc.positionAt(error.token.startOffset).line);
+    }
+
+    // Typprüfung der Ausdrücke (nicht in Zeilen mit Syntaxfehlern)
+    builtinOverloads = checkExpressionTypes(ast, (severity, message, node) => {
+      if (node.uri !== uri || node.endUri !== uri) return;
+      if (doc && errorLines.has(doc.positionAt(node.startOffset).line)) return;
+      addDiagnostic(severity, message, uri, node.startOffset, node.endOffset);
+    });
+
+    foldingRanges.push(...collectAstFoldingRanges(ast));
+  }
+
+  return {
+    tokens,
+    lineStartOffsets,
+    lineEndOffsets,
+    diagnostics,
+    scopeStack,
+    scopes,
+    blockStack,
+    section: outlineSection ? outlineSection.name : null,
+    defines,
+    outline,
+    ast,
+    builtinOverloads,
+    foldingRanges,
+    dialect
+  };
+}
+
+// ------------------------------
+// AST-Auswertung
+// ------------------------------
+
+function blockFoldingRange(startToken, endToken) {
+  return {
+    startOffset: startToken.startOffset,
+    startUri: startToken.uri,
+    endOffset: endToken.startOffset,
+    endUri: endToken.uri,
+    kind: 'region',
+    collapsedText: '...'
+  };
+}
+
+/**
+ * Folding-Bereiche der Blöcke (MODULE, PROC/TASK, IF/ELSE, CASE, REPEAT, BEGIN) aus dem AST
+ */
+function collectAstFoldingRanges(ast) {
+  const ranges = [];
+  walkAst(ast, (node) => {
+    if (!node.keywordToken || !node.endToken) return;
+    switch (node.type) {
+      case 'IfStatement':
+        if (node.elseToken) {
+          ranges.push(blockFoldingRange(node.keywordToken, node.elseToken));
+          ranges.push(blockFoldingRange(node.elseToken, node.endToken));
         }
         else {
-          addDiagnosticError(`TASK '${name}' wird mit ${kw} verwendet, es existiert aber keine TASK-Deklaration (TASK/SPC TASK).`, next.token);
-        }
-        next = findNextCodeToken(tokens, i = next.index);
-      }
-      else {
-        if (options.task === true) {
-          addDiagnosticError(`'TASK-Name erwartet`, next.token);
+          ranges.push(blockFoldingRange(node.keywordToken, node.endToken));
         }
+        break;
+      case 'Module':
+      case 'Procedure':
+      case 'CaseStatement':
+      case 'LoopStatement':
+      case 'BlockStatement':
+        ranges.push(blockFoldingRange(node.keywordToken, node.endToken));
+        break;
+    }
+  });
+  return ranges;
+}
+
+// ------------------------------
+// Typprüfung von Ausdrücken
+// ------------------------------
+
+// Typfamilien, für die Operanden und Zuweisungen geprüft werden
+const CHECKED_TYPENAMES = ['FIXED', 'FLOAT', 'BIT', 'CHAR', 'CLOCK', 'DURATION'];
+
+const COMPARISON_OPERATORS = ['==', '/=', '=', '<', '>', '<=', '>=', 'EQ', 'NE', 'LT', 'GT', 'LE', 'GE'];
+const EQUALITY_OPERATORS = ['==', '/=', '=', 'EQ', 'NE'];
+const FLOAT_FUNCTION_OPERATORS = ['SQRT', 'SIN', 'COS', 'TAN', 'TANH', 'ATAN', 'EXP', 'LN'];
+
+/**
+ * Typ eines Ausdrucks: { typename, precision }.
+ * precision null = Länge nicht festgelegt (Konstante ohne Angabe, vordefinierte Prozedur),
+ * passt dann zu jeder Länge.
+ */
+function exprType(typename, precision = null) {
+  return { typename, precision };
+}
+
+function formatExprType(type) {
+  if (type.precision === null || DEFAULT_PRECISION[type.typename] === undefined) return type.typename;
+  return `${type.typename}(${type.precision})`;
+}
+
+function isCheckedType(type) {
+  return !!type && CHECKED_TYPENAMES.includes(type.typename);
+}
+
+function isNumericType(type) {
+  return type.typename === 'FIXED' || type.typename === 'FLOAT';
+}
+
+function maxPrecision(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.max(a, b);
+}
+
+function sumPrecision(a, b) {
+  return a === null || b === null ? null : a + b;
+}
+
+/**
+ * Typ aus einer Typbeschreibung (DCL/SPC). Felder liefern { typename: 'ARRAY', element }.
+ */
+function typeFromDescription(typeDescription) {
+  if (!typeDescription || typeDescription.ref) return null;
+  const typename = normalizeTypename(typeDescription.typename);
+  if (!CHECKED_TYPENAMES.includes(typename)) return null;
+  const type = exprType(typename, getPrecision(typeDescription));
+  if (typeDescription.dim > 0) {
+    return { typename: 'ARRAY', precision: null, element: type };
+  }
+  return type;
+}
+
+/**
+ * Typ aus einem Typtext einer vordefinierten Prozedur, z. B. "FLOAT(23)" oder "CLOCK".
+ * Ohne Längenangabe bleibt die Länge offen; Zeichenketten haben variable Länge (CHAR(255)).
+ */
+function typeFromText(text) {
+  if (!text || /\bREF\b/.test(text)) return null;
+  const match = /\b(FIXED|FLOAT|BIT|CHAR|CHARACTER|CLOCK|DURATION)\b(?:\s*\(\s*(\d+)\s*\))?/.exec(text);
+  if (!match) return null;
+  const typename = normalizeTypename(match[1]);
+  const precision = match[2] !== undefined && typename !== 'CHAR' ? parseInt(match[2], 10) : null;
+  return exprType(typename, precision);
+}
+
+/**
+ * Überladung einer vordefinierten Prozedur passend zu den Argumenttypen wählen:
+ * zuerst passende Anzahl, dann möglichst viele Argumente mit gleichem Typ und gleicher Länge.
+ * Bei Gleichstand gewinnt die erste Überladung.
+ */
+function selectBuiltinOverload(overloads, argTypes) {
+  let best = null;
+  let bestScore = Number.NEGATIVE_INFINITY;
+  for (const overload of overloads) {
+    let score = overload.params.length === argTypes.length ? 0 : -100;
+    overload.params.forEach((text, i) => {
+      const param = typeFromText(text);
+      const arg = argTypes[i];
+      if (!isCheckedType(param) || !isCheckedType(arg) || param.typename !== arg.typename) return;
+      score += param.precision !== null && param.precision === arg.precision ? 2 : 1;
+    });
+    if (score > bestScore) {
+      best = overload;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rückgabetyp einer PROC (auch REF PROC) oder der passenden Überladung einer vordefinierten Prozedur
+ */
+function returnTypeOfSymbol(symbol, token, argTypes = []) {
+  if (symbol && symbol.typeDescription && normalizeTypename(symbol.typeDescription.typename) === 'PROCEDURE') {
+    const returns = symbol.typeDescription.returns;
+    return returns ? typeFromDescription(returns) : null;
+  }
+  if (token && token.builtin) {
+    return typeFromText(selectBuiltinOverload(token.builtin, argTypes).returns);
+  }
+  return undefined;
+}
+
+/**
+ * Parameterliste des aufgerufenen Namens: PROC/ENTRY (auch REF PROC) oder die zu den
+ * Argumenttypen passende Überladung einer vordefinierten Prozedur.
+ * Liefert { params: [{ type, ident }], returns, overload } oder null.
+ */
+function getCallSignature(callee, argTypes = []) {
+  if (!callee || callee.type !== 'Name') return null;
+  const symbol = getSymbolForToken(callee.token);
+  const typeDescription = symbol && symbol.typeDescription;
+  if (typeDescription && normalizeTypename(typeDescription.typename) === 'PROCEDURE') {
+    return {
+      params: (typeDescription.params || []).map(param => ({ type: typeFromDescription(param), ident: !!param.ident })),
+      returns: !!typeDescription.returns,
+      overload: null
+    };
+  }
+  if (!symbol && callee.token.builtin) {
+    const overload = selectBuiltinOverload(callee.token.builtin, argTypes);
+    return {
+      params: overload.params.map(text => ({ type: typeFromText(text), ident: /\bIDENT\b/.test(text) })),
+      returns: !!overload.returns,
+      overload
+    };
+  }
+  return null;
+}
+
+/**
+ * Ausdruck, der eine Variable bezeichnet (Argument für IDENT-Parameter)
+ */
+function isLvalue(node) {
+  switch (node.type) {
+    case 'Name': {
+      const symbol = getSymbolForToken(node.token);
+      return !symbol || !symbol.typeDescription || normalizeTypename(symbol.typeDescription.typename) !== 'PROCEDURE';
+    }
+    case 'Member':
+      return true;
+    case 'Call':
+      // Feldelement oder Zeichenauswahl, kein Funktionsaufruf
+      return node.callee.type === 'Member' || (node.callee.type === 'Name' && !getCallSignature(node.callee));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Anzahl der Zeichen einer Zeichenkettenkonstante ('' und '\hex\' berücksichtigt)
+ */
+function stringLiteralLength(value) {
+  const body = value.slice(1, -1);
+  let length = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "'" && body[i + 1] === "'") {
+      length++;
+      i++;
+    }
+    else if (body[i] === "'" && body[i + 1] === '\\') {
+      const end = body.indexOf("\\'", i + 2);
+      if (end < 0) return null;
+      length += Math.ceil(body.slice(i + 2, end).replace(/\s/g, '').length / 2);
+      i = end + 1;
+    }
+    else {
+      length++;
+    }
+  }
+  return length;
+}
+
+/**
+ * Anzahl der Bits einer Bitkettenkonstante, z. B. '1010'B1, '7F'B4
+ */
+function bitLiteralLength(value) {
+  const match = /^'([^']*)'B([1-4])?$/i.exec(value);
+  if (!match) return null;
+  return match[1].length * (match[2] ? parseInt(match[2], 10) : 1);
+}
+
+function literalType(node) {
+  switch (node.kind) {
+    case 'fixed': return exprType('FIXED', node.precision);
+    case 'float': return exprType('FLOAT', node.precision);
+    case 'string': return exprType('CHAR', stringLiteralLength(node.value));
+    case 'bitstring': return exprType('BIT', bitLiteralLength(node.value));
+    case 'clock': return exprType('CLOCK');
+    case 'duration': return exprType('DURATION');
+    default: return null;
+  }
+}
+
+/**
+ * Ausdruckstypen im AST bestimmen und unverträgliche Operationen, Zuweisungen
+ * und Bedingungen melden. report(severity, message, node)
+ * Liefert die für Aufrufe vordefinierter Prozeduren gewählten Überladungen (Map Namenstoken -> Überladung).
+ */
+function checkExpressionTypes(ast, report) {
+  const types = new Map();
+  const builtinOverloads = new Map();
+
+  function typeOf(node) {
+    if (!node) return null;
+    if (!types.has(node)) {
+      types.set(node, inferType(node));
+    }
+    return types.get(node);
+  }
+
+  function inferType(node) {
+    switch (node.type) {
+      case 'Literal':
+        return literalType(node);
+      case 'Parenthesized':
+        return typeOf(node.expression);
+      case 'Name': {
+        const symbol = getSymbolForToken(node.token);
+        const returns = returnTypeOfSymbol(symbol, node.token);
+        if (returns !== undefined) return returns;
+        return symbol ? typeFromDescription(symbol.typeDescription) : null;
       }
-      if (next && next.token.type === 'keyword') {
-        if (next.token.value === 'PRIO' || next.token.value === 'PRIORITY')
-        {
-          if (options.prio === false ) {
-            addDiagnosticError(`'Schlüsselwort PRIO nicht erlaubt bei ${kw}`, next.token);
-          }
+      case 'Member':
+        typeOf(node.object);
+        return node.member.toUpperCase() === 'CHAR' ? exprType('CHAR', 1) : null;
+      case 'Call':
+        return callType(node);
+      case 'Unary':
+        return unaryType(node, typeOf(node.operand));
+      case 'Binary':
+        return binaryType(node, typeOf(node.left), typeOf(node.right));
+      default:
+        return null;
+    }
+  }
+
+  function callType(node) {
+    const callee = node.callee;
+    const argTypes = node.args.map(typeOf);
+    if (callee.type === 'Member') {
+      typeOf(callee.object);
+      return callee.member.toUpperCase() === 'CHAR' ? exprType('CHAR', 1) : null;
+    }
+    if (callee.type !== 'Name') {
+      typeOf(callee);
+      return null;
+    }
+    const symbol = getSymbolForToken(callee.token);
+    const returns = returnTypeOfSymbol(symbol, callee.token, argTypes);
+    if (returns !== undefined) return returns;
+    const type = symbol ? typeFromDescription(symbol.typeDescription) : null;
+    // Feldzugriff
+    return type && type.typename === 'ARRAY' ? type.element : null;
+  }
+
+  function unaryType(node, operand) {
+    const operator = node.operator.toUpperCase();
+    if (operator === 'SIZEOF') return exprType('FIXED');
+    if (operator === 'LWB' || operator === 'UPB') {
+      if (isCheckedType(operand)) {
+        report(DiagnosticSeverity.Error, `Operator '${operator}' erwartet ein Feld, gefunden ${formatExprType(operand)}.`, node);
+      }
+      return exprType('FIXED');
+    }
+    if (operator === 'TRY') return exprType('BIT', 1);
+    if (!isCheckedType(operand)) return null;
+
+    let result = null;
+    switch (operator) {
+      case '+':
+      case '-':
+      case 'ABS':
+        if (isNumericType(operand) || operand.typename === 'DURATION') result = operand;
+        break;
+      case 'SIGN':
+        if (isNumericType(operand) || operand.typename === 'DURATION') result = exprType('FIXED', 1);
+        break;
+      case 'NOT':
+        if (operand.typename === 'BIT') result = operand;
+        break;
+      case 'ENTIER':
+      case 'ROUND':
+        if (isNumericType(operand)) result = exprType('FIXED');
+        break;
+      case 'TOFIXED':
+        if (operand.typename === 'CHAR' || operand.typename === 'BIT') result = exprType('FIXED');
+        break;
+      case 'TOFLOAT':
+        if (isNumericType(operand)) result = exprType('FLOAT');
+        break;
+      case 'TOBIT':
+        if (operand.typename === 'FIXED') result = exprType('BIT');
+        break;
+      case 'TOCHAR':
+        if (operand.typename === 'FIXED') result = exprType('CHAR', 1);
+        break;
+      default:
+        if (FLOAT_FUNCTION_OPERATORS.includes(operator) && isNumericType(operand)) {
+          result = exprType('FLOAT', operand.typename === 'FLOAT' ? operand.precision : null);
         }
-        else {
-          addDiagnosticError(`'Schlüsselwort PRIO erwartet`, next.token);
+        else if (!FLOAT_FUNCTION_OPERATORS.includes(operator)) {
+          return null;
         }
-        next = findNextSemicolonToken(tokens, i = next.index);
+    }
+    if (!result) {
+      report(DiagnosticSeverity.Error, `Operator '${operator}' ist für ${formatExprType(operand)} nicht zulässig.`, node);
+    }
+    return result;
+  }
+
+  function binaryType(node, left, right) {
+    const operator = node.operator.toUpperCase();
+    if (operator === 'IS' || operator === 'ISNT') return exprType('BIT', 1);
+    if (operator === 'LWB' || operator === 'UPB') {
+      if (isCheckedType(right)) {
+        report(DiagnosticSeverity.Error, `Operator '${operator}' erwartet ein Feld, gefunden ${formatExprType(right)}.`, node);
       }
-      else {
-        if (options.prio === true) {
-          addDiagnosticError(`'PRIO erwartet`, next.token);
+      return exprType('FIXED');
+    }
+    if (!isCheckedType(left) || !isCheckedType(right)) {
+      return COMPARISON_OPERATORS.includes(operator) ? exprType('BIT', 1) : null;
+    }
+
+    const l = left.typename;
+    const r = right.typename;
+    const numeric = isNumericType(left) && isNumericType(right);
+    const numericResult = () => (l === 'FLOAT' || r === 'FLOAT')
+      ? exprType('FLOAT', maxPrecision(l === 'FLOAT' ? left.precision : null, r === 'FLOAT' ? right.precision : null))
+      : exprType('FIXED', maxPrecision(left.precision, right.precision));
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const comparable = numeric
+        || (l === r && ['CLOCK', 'DURATION', 'CHAR'].includes(l))
+        || (l === 'BIT' && r === 'BIT' && EQUALITY_OPERATORS.includes(operator));
+      if (!comparable) {
+        report(DiagnosticSeverity.Error, `Vergleich von ${formatExprType(left)} mit ${formatExprType(right)} ist nicht zulässig.`, node);
+      }
+      return exprType('BIT', 1);
+    }
+
+    let result = null;
+    switch (operator) {
+      case '+':
+        if (numeric) result = numericResult();
+        else if (l === 'DURATION' && r === 'DURATION') result = left;
+        else if ((l === 'CLOCK' && r === 'DURATION') || (l === 'DURATION' && r === 'CLOCK')) result = exprType('CLOCK');
+        break;
+      case '-':
+        if (numeric) result = numericResult();
+        else if (l === 'DURATION' && r === 'DURATION') result = left;
+        else if (l === 'CLOCK' && r === 'CLOCK') result = exprType('DURATION');
+        else if (l === 'CLOCK' && r === 'DURATION') result = exprType('CLOCK');
+        break;
+      case '*':
+        if (numeric) result = numericResult();
+        else if ((l === 'DURATION' && isNumericType(right)) || (isNumericType(left) && r === 'DURATION')) result = exprType('DURATION');
+        break;
+      case '/':
+        if (numeric) result = exprType('FLOAT', l === 'FLOAT' || r === 'FLOAT' ? numericResult().precision : null);
+        else if (l === 'DURATION' && isNumericType(right)) result = exprType('DURATION');
+        else if (l === 'DURATION' && r === 'DURATION') result = exprType('FLOAT');
+        break;
+      case '//':
+      case 'REM':
+        if (l === 'FIXED' && r === 'FIXED') result = numericResult();
+        break;
+      case '**':
+        if (isNumericType(left) && r === 'FIXED') result = left;
+        break;
+      case 'FIT':
+        if (numeric && l === r) result = exprType(l, right.precision);
+        break;
+      case 'AND':
+      case 'OR':
+      case 'EXOR':
+        if (l === 'BIT' && r === 'BIT') result = exprType('BIT', maxPrecision(left.precision, right.precision));
+        break;
+      case 'CAT':
+        if (l === r && (l === 'CHAR' || l === 'BIT')) result = exprType(l, sumPrecision(left.precision, right.precision));
+        break;
+      case 'SHIFT':
+      case 'CSHIFT':
+      case '<>':
+      case '><':
+        if (l === 'BIT' && r === 'FIXED') result = left;
+        break;
+      default:
+        return null;
+    }
+    if (!result) {
+      report(DiagnosticSeverity.Error, `Operator '${operator}' ist für ${formatExprType(left)} und ${formatExprType(right)} nicht zulässig.`, node);
+    }
+    return result;
+  }
+
+  /**
+   * Zuweisung bzw. Wertübergabe an einen Parameter prüfen; prefix z. B. "Argument 2 von p: "
+   */
+  function checkAssignment(target, value, node, prefix = '') {
+    if (!isCheckedType(target) || !isCheckedType(value)) return;
+    const t = target.typename;
+    const v = value.typename;
+    const narrower = target.precision !== null && value.precision !== null && value.precision > target.precision;
+
+    if (t === 'FIXED' && v === 'FLOAT') {
+      report(DiagnosticSeverity.Error, `${prefix}${formatExprType(value)} kann nicht ohne ENTIER oder ROUND an ${formatExprType(target)} zugewiesen werden.`, node);
+    }
+    else if (t === v && (t === 'FIXED' || t === 'FLOAT') && narrower) {
+      report(DiagnosticSeverity.Error, `${prefix}Zuweisung von ${formatExprType(value)} an ${formatExprType(target)} verliert Genauigkeit.`, node);
+    }
+    else if (t === v && (t === 'CHAR' || t === 'BIT') && narrower) {
+      report(DiagnosticSeverity.Warning, `${prefix}${formatExprType(value)} wird bei Zuweisung an ${formatExprType(target)} abgeschnitten.`, node);
+    }
+    else if (t !== v && !(t === 'FLOAT' && v === 'FIXED')) {
+      report(DiagnosticSeverity.Error, `${prefix}Zuweisung von ${formatExprType(value)} an ${formatExprType(target)} ist nicht zulässig.`, node);
+    }
+  }
+
+  /**
+   * Argumente eines Aufrufs gegen die Parameterliste prüfen (Anzahl, Typ, IDENT).
+   */
+  function checkCallArguments(callee, args, node) {
+    const signature = getCallSignature(callee, args.map(typeOf));
+    if (!signature) return;
+    if (signature.overload) builtinOverloads.set(callee.token, signature.overload);
+    const name = callee.name;
+
+    if (args.length !== signature.params.length) {
+      const expected = signature.params.length;
+      report(DiagnosticSeverity.Error,
+        `${name} erwartet ${expected} ${expected === 1 ? 'Argument' : 'Argumente'}, angegeben ${args.length}.`, node);
+      return;
+    }
+
+    args.forEach((arg, i) => {
+      if (!arg) return;
+      const param = signature.params[i];
+      const prefix = `Argument ${i + 1} von ${name}: `;
+      const value = typeOf(arg);
+      if (!param.ident) {
+        checkAssignment(param.type, value, arg, prefix);
+      }
+      else if (!isLvalue(arg)) {
+        report(DiagnosticSeverity.Error, `${prefix}IDENT-Parameter erfordert eine Variable, kein Ausdruck.`, arg);
+      }
+      else if (isCheckedType(param.type) && isCheckedType(value)
+        && (param.type.typename !== value.typename
+          || (param.type.precision !== null && value.precision !== null && param.type.precision !== value.precision))) {
+        report(DiagnosticSeverity.Error,
+          `${prefix}IDENT-Parameter vom Typ ${formatExprType(param.type)} erfordert eine Variable gleichen Typs, angegeben ${formatExprType(value)}.`, arg);
+      }
+    });
+  }
+
+  /**
+   * PROC ohne RETURNS innerhalb eines Ausdrucks melden
+   */
+  function checkHasReturnValue(callee, node, args = []) {
+    const signature = getCallSignature(callee, args.map(typeOf));
+    if (signature && !signature.returns) {
+      report(DiagnosticSeverity.Error, `PROC ${callee.name} liefert keinen Wert (kein RETURNS) und kann nicht in einem Ausdruck verwendet werden.`, node);
+    }
+  }
+
+  function checkCondition(condition) {
+    const type = typeOf(condition);
+    if (isCheckedType(type) && type.typename !== 'BIT') {
+      report(DiagnosticSeverity.Error, `Bedingung muss vom Typ BIT sein, gefunden ${formatExprType(type)}.`, condition);
+    }
+  }
+
+  function checkFixedExpression(expression, what) {
+    const type = typeOf(expression);
+    if (isCheckedType(type) && type.typename !== 'FIXED') {
+      report(DiagnosticSeverity.Error, `${what} muss vom Typ FIXED sein, gefunden ${formatExprType(type)}.`, expression);
+    }
+  }
+
+  /**
+   * Ausdruck wird als Wert verwendet (nicht als Anweisung, Zuweisungsziel oder Aufrufziel)
+   */
+  function isValueUse(node, parent) {
+    if (!parent) return false;
+    switch (parent.type) {
+      case 'Binary':
+      case 'Unary':
+      case 'Parenthesized':
+        return true;
+      case 'Assignment':
+      case 'ReturnStatement':
+        return node === parent.value;
+      case 'Call':
+        return parent.args.includes(node);
+      case 'DeclarationItem':
+        return parent.init.includes(node);
+      case 'IfStatement':
+        return node === parent.condition;
+      case 'CaseStatement':
+        return node === parent.selector;
+      case 'LoopStatement':
+        return [parent.from, parent.by, parent.to, parent.while].includes(node);
+      default:
+        return false;
+    }
+  }
+
+  walkAst(ast, (node, parent) => {
+    switch (node.type) {
+      case 'Assignment':
+        checkAssignment(typeOf(node.target), typeOf(node.value), node.value || node);
+        break;
+      case 'DeclarationItem':
+        // INIT-Werte der Reihe nach den Namen bzw. Feldelementen zuordnen
+        node.init.forEach((value, i) => {
+          const name = node.names[Math.min(i, node.names.length - 1)];
+          if (!value || !name) return;
+          const symbol = getSymbolForToken(name.token);
+          let target = symbol ? typeFromDescription(symbol.typeDescription) : null;
+          if (target && target.typename === 'ARRAY') target = target.element;
+          checkAssignment(target, typeOf(value), value);
+        });
+        break;
+      case 'IfStatement':
+        checkCondition(node.condition);
+        break;
+      case 'LoopStatement':
+        if (node.while) checkCondition(node.while);
+        if (node.from) checkFixedExpression(node.from, 'FROM');
+        if (node.by) checkFixedExpression(node.by, 'BY');
+        if (node.to) checkFixedExpression(node.to, 'TO');
+        break;
+      case 'CallStatement':
+        if (node.callee && node.callee.type === 'Name') {
+          checkCallArguments(node.callee, [], node.callee);
+        }
+        break;
+      case 'Call':
+        typeOf(node);
+        checkCallArguments(node.callee, node.args, node);
+        if (isValueUse(node, parent)) checkHasReturnValue(node.callee, node, node.args);
+        break;
+      case 'Name':
+        typeOf(node);
+        // parameterloser Funktionsaufruf; als Argument oder an REF PROC zugewiesen ist der Name ein Verweis
+        if (isValueUse(node, parent) && parent.type !== 'Call' && parent.type !== 'DeclarationItem'
+          && (parent.type !== 'Assignment' || isCheckedType(typeOf(parent.target)))) {
+          checkCallArguments(node, [], node);
+          checkHasReturnValue(node, node);
         }
+        break;
+      case 'Literal':
+      case 'Parenthesized':
+      case 'Member':
+      case 'Unary':
+      case 'Binary':
+        typeOf(node);
+        break;
+    }
+  });
+  return builtinOverloads;
+}
+
+// ------------------------------
+// Diagnostics
+// ------------------------------
+
+async function validateTextDocument(textDocument) {
+  const settings = await getDocumentSettings(textDocument.uri);
+  
+connection.console.log('[pearl] settings = ' + JSON.stringify(settings));
+
+  const text = textDocument.getText();
+  const analysis = analyze(textDocument.uri, text, settings, {});
+  analysis.version = textDocument.version;
+  documentTokenCache.set( textDocument.uri, analysis );    // für onDefinition & Co. cachen
+  workspaceIndex.set( textDocument.uri, collectIndexEntries(textDocument.uri, analysis) );   // offene Dokumente sind maßgeblich
+  publishDiagnostics(textDocument.uri);
+  scheduleLinkDiagnostics();   // andere offene Module können betroffen sein
+}
+
+/**
+ * Analyse zum aktuellen Stand des Dokuments: aus dem Cache, falls dieser
+ * zur Dokumentversion passt, sonst neu erstellt (z. B. direkt nach einer Eingabe).
+ */
+async function getCurrentAnalysis(doc) {
+  const cached = documentTokenCache.get(doc.uri);
+  if (cached && cached.version === doc.version) {
+    return cached;
+  }
+  const settings = await getDocumentSettings(doc.uri);
+  const analysis = analyze(doc.uri, doc.getText(), settings, {});
+  analysis.version = doc.version;
+  return analysis;
+}
+
+/**
+ * Diagnostics der Analyse plus modulübergreifende (Link-)Diagnostics senden.
+ */
+function publishDiagnostics(uri) {
+  const analysis = documentTokenCache.get(uri);
+  if (!analysis) return;
+
+  connection.sendDiagnostics({
+    uri,
+    diagnostics: analysis.diagnostics.concat(computeLinkDiagnostics(uri))
+  });
+}
+
+let linkDiagnosticsTimer = null;
+
+/**
+ * Link-Diagnostics aller offenen Dokumente verzögert neu berechnen
+ * (nach Änderungen am Workspace-Index).
+ */
+function scheduleLinkDiagnostics() {
+  if (linkDiagnosticsTimer) {
+    clearTimeout(linkDiagnosticsTimer);
+  }
+  linkDiagnosticsTimer = setTimeout(() => {
+    linkDiagnosticsTimer = null;
+    for (const doc of documents.all()) {
+      publishDiagnostics(doc.uri);
+    }
+  }, 300);
+}
+
+// ------------------------------
+// Workspace-Index (GLOBAL-Symbole aller Module)
+// ------------------------------
+
+const PEARL_FILE_PATTERN = /\.[pP]$/;
+const INDEX_SKIP_DIRECTORIES = new Set(['node_modules', '.git', '.svn', '.vscode']);
+
+class WorkspaceIndex {
+  constructor() {
+    // Map<uri, entry[]> mit den GLOBAL-Symbolen je Modul
+    this.files = new Map();
+
+    // true, sobald der erste vollständige Scan durch ist
+    this.ready = false;
+  }
+
+  set(uri, entries) {
+    this.files.set(uri, entries);
+  }
+
+  delete(uri) {
+    this.files.delete(uri);
+  }
+
+  /**
+   * Alle Einträge unterhalb eines Workspace-Folders entfernen
+   */
+  deleteFolder(folderUri) {
+    const prefix = folderUri.endsWith('/') ? folderUri : folderUri + '/';
+    for (const uri of [...this.files.keys()]) {
+      if (uri.startsWith(prefix)) {
+        this.files.delete(uri);
+      }
+    }
+  }
+
+  *entries() {
+    for (const entries of this.files.values()) {
+      yield* entries;
+    }
+  }
+
+  /**
+   * Einträge nach Name (optional gefiltert nach statement: 'DCL' | 'SPC' | 'PROC' | 'TASK')
+   */
+  findByName(name, statements) {
+    const result = [];
+    for (const entry of this.entries()) {
+      if (entry.name === name && (!statements || statements.includes(entry.statement))) {
+        result.push(entry);
       }
+    }
+    return result;
+  }
+
+  /**
+   * Unscharfe Suche für workspace/symbol, nach Trefferqualität sortiert
+   */
+  query(query, maxResults = 500) {
+    const seen = new Set();
+    const matches = [];
+    for (const entry of this.entries()) {
+      const key = `${entry.uri}#${entry.startOffset}`;
+      if (seen.has(key)) continue;   // Deklarationen aus gemeinsamen Include-Dateien nur einmal
+      seen.add(key);
+
+      const score = fuzzyMatchScore(query, entry.name);
+      if (score < 0) continue;
+      matches.push({ entry, score });
+    }
+    matches.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+    return matches.slice(0, maxResults).map(m => m.entry);
+  }
+}
+
+const workspaceIndex = new WorkspaceIndex();
+
+/**
+ * Unscharfer Vergleich: alle Zeichen der Anfrage müssen in dieser Reihenfolge
+ * im Namen vorkommen (ohne Beachtung der Groß-/Kleinschreibung).
+ * Liefert -1 bei keinem Treffer, sonst eine Bewertung (größer = besser).
+ */
+function fuzzyMatchScore(query, name) {
+  if (!query) return 0;
+
+  const q = query.toLowerCase();
+  const n = name.toLowerCase();
+  let score = 0;
+  let ni = 0;
+  let prevMatch = -2;
+
+  for (let qi = 0; qi < q.length; qi++) {
+    const c = q[qi];
+    while (ni < n.length && n[ni] !== c) ni++;
+    if (ni >= n.length) return -1;
+
+    if (ni === 0) score += 8;                                     // Namensanfang
+    else if (ni === prevMatch + 1) score += 5;                    // zusammenhängend
+    else if (name[ni - 1] === '_' || (name[ni] >= 'A' && name[ni] <= 'Z' && name[ni - 1] >= 'a' && name[ni - 1] <= 'z')) {
+      score += 3;                                                 // Wortanfang (Unterstrich/CamelCase)
+    }
+    if (name[ni] === query[qi]) score += 1;                       // gleiche Schreibweise
+
+    prevMatch = ni;
+    ni++;
+  }
+
+  if (n === q) score += 20;
+  return score - (n.length - q.length) * 0.1;
+}
+
+/**
+ * Typbeschreibung ohne Tokenverweise (für den Index)
+ */
+function plainTypeDescription(typeDescription) {
+  const { typetoken, ...plain } = typeDescription;
+  if (plain.params) {
+    plain.params = plain.params.map(plainTypeDescription);
+  }
+  if (plain.returns) {
+    plain.returns = plainTypeDescription(plain.returns);
+  }
+  return plain;
+}
+
+/**
+ * GLOBAL-Symbole (PROC, TASK, DCL, SPC) aus einer Analyse für den Index sammeln.
+ */
+function collectIndexEntries(uri, analysis) {
+  const entries = [];
+  const globalScope = analysis.scopeStack[0] || {};
+  let moduleName = '';
+
+  for (const identifier of Object.values(globalScope)) {
+    const td = identifier.typeDescription;
+    if (td && (td.typename === 'MODULE' || td.typename === 'SHELLMODULE')) {
+      moduleName = identifier.nameToken.value;
+    }
+  }
+
+  for (const identifier of Object.values(globalScope)) {
+    // SPC vor der Implementierung im selben Modul mit aufnehmen
+    for (const entry of [identifier.specification, identifier]) {
+      if (!entry || !entry.statement || !entry.typeDescription.global) continue;
+
+      const nameToken = entry.nameToken;
+      const doc = documentRegistry.get(nameToken.uri);
+      if (!doc) continue;
+
+      // Aus einer Include-Datei: #include-Zeile des Moduls für Meldungen merken
+      const includeToken = nameToken.uri !== uri ? nameToken.includedBy : null;
+      const sourceDoc = includeToken ? documentRegistry.get(uri) : null;
+
+      entries.push({
+        name: nameToken.value,
+        statement: entry.statement,
+        sourceUri: uri,
+        uri: nameToken.uri,
+        startOffset: nameToken.startOffset,
+        endOffset: nameToken.endOffset,
+        range: {
+          start: doc.positionAt(nameToken.startOffset),
+          end: doc.positionAt(nameToken.endOffset)
+        },
+        includeRange: sourceDoc ? {
+          start: sourceDoc.positionAt(includeToken.startOffset),
+          end: sourceDoc.positionAt(includeToken.endOffset)
+        } : null,
+        containerName: moduleName,
+        typeDescription: plainTypeDescription(entry.typeDescription)
+      });
+    }
+  }
+
+  return entries;
+}
+
+async function indexFile(uri) {
+  if (documents.get(uri)) return;   // offene Dokumente werden bei der Validierung indiziert
+
+  documentRegistry.invalidateUri(uri);
+  const doc = documentRegistry.get(uri);
+  if (!doc) {
+    workspaceIndex.delete(uri);
+    return;
+  }
+
+  try {
+    const settings = await getDocumentSettings(uri);
+    const analysis = analyze(uri, doc.getText(), settings, {});
+    workspaceIndex.set(uri, collectIndexEntries(uri, analysis));
+  } catch (e) {
+    connection.console.log(`indexFile ${uri}: ${e.message}`);
+  }
+}
+
+async function findPearlFiles(dir, result = []) {
+  let dirents;
+  try {
+    dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return result;
+  }
+  for (const dirent of dirents) {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (!INDEX_SKIP_DIRECTORIES.has(dirent.name)) {
+        await findPearlFiles(fullPath, result);
+      }
+    } else if (dirent.isFile() && PEARL_FILE_PATTERN.test(dirent.name)) {
+      result.push(uriFromFilePath(fullPath));
+    }
+  }
+  return result;
+}
+
+const indexQueue = new Set();
+let indexRunning = false;
+
+function queueIndexFiles(uris) {
+  for (const uri of uris) {
+    indexQueue.add(uri);
+  }
+  if (!indexRunning) {
+    processIndexQueue();
+  }
+}
+
+/**
+ * Arbeitet die Index-Warteschlange im Hintergrund ab
+ * (zwischen den Dateien wird die Event-Loop freigegeben).
+ */
+async function processIndexQueue() {
+  indexRunning = true;
+  try {
+    while (indexQueue.size > 0) {
+      const uri = indexQueue.values().next().value;
+      indexQueue.delete(uri);
+      await indexFile(uri);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } finally {
+    indexRunning = false;
+  }
+  if (!workspaceIndex.ready) {
+    workspaceIndex.ready = true;
+    connection.console.log(`[pearl] Workspace-Index: ${workspaceIndex.files.size} Dateien`);
+  }
+  scheduleLinkDiagnostics();
+}
+
+// ------------------------------
+// Modulübergreifende Auflösung (SPC ... GLOBAL)
+// ------------------------------
+
+const GLOBAL_DEFINITION_STATEMENTS = ['DCL', 'PROC', 'TASK'];
+
+/**
+ * SPC ... GLOBAL, das nicht im selben Modul implementiert wird
+ */
+function isGlobalSpecification(identifier) {
+  return !!identifier
+    && identifier.statement === 'SPC'
+    && !!identifier.typeDescription.global
+    && !identifier.implementation;
+}
+
+/**
+ * GLOBAL-Definitionen (DCL/PROC/TASK ... GLOBAL) eines Namens im Workspace.
+ * Definitionen aus gemeinsam genutzten Include-Dateien werden nur einmal geliefert.
+ */
+function findGlobalDefinitions(name) {
+  const seen = new Set();
+  return workspaceIndex.findByName(name, GLOBAL_DEFINITION_STATEMENTS).filter(entry => {
+    const key = `${entry.uri}#${entry.startOffset}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Standardlängen ohne explizite Angabe (RTOS-UH)
+const DEFAULT_PRECISION = {
+  FIXED: 15,
+  FLOAT: 23,
+  BIT: 1,
+  CHAR: 1,
+  CHARACTER: 1
+};
+
+function normalizeTypename(typename) {
+  if (typename === 'CHARACTER') return 'CHAR';
+  if (typename === 'PROC' || typename === 'ENTRY') return 'PROCEDURE';
+  return typename || '';
+}
+
+function getPrecision(typeDescription) {
+  if (typeDescription.precision !== null && typeDescription.precision !== undefined) {
+    return typeDescription.precision;
+  }
+  const defaultPrecision = DEFAULT_PRECISION[typeDescription.typename];
+  return defaultPrecision === undefined ? null : defaultPrecision;
+}
+
+/**
+ * Typbeschreibung als Text, z. B. "INV (10) FIXED(31)" oder "PROC(FIXED(15) IDENT) RETURNS(FLOAT(23))"
+ */
+function formatTypeDescription(typeDescription) {
+  if (!typeDescription) return '';
+  const parts = [];
+  if (typeDescription.inv) parts.push('INV');
+  if (typeDescription.dim > 0) {
+    parts.push(`(${(typeDescription.dimensions || []).join(',') || ','.repeat(typeDescription.dim - 1)})`);
+  }
+  if (typeDescription.ref) parts.push('REF');
+
+  const typename = normalizeTypename(typeDescription.typename);
+  let type = typename === 'PROCEDURE' ? 'PROC' : typename;
+  const precision = getPrecision(typeDescription);
+  if (precision !== null && DEFAULT_PRECISION[typename] !== undefined) {
+    type += `(${precision})`;
+  }
+  if (typename === 'PROCEDURE') {
+    if (typeDescription.params && typeDescription.params.length > 0) {
+      type += `(${typeDescription.params.map(formatTypeDescription).join(', ')})`;
+    }
+    if (typeDescription.returns) {
+      type += ` RETURNS(${formatTypeDescription(typeDescription.returns)})`;
+    }
+  }
+  parts.push(type);
+  if (typeDescription.ident) parts.push('IDENT');
+  return parts.join(' ');
+}
+
+/**
+ * Unterschiede zweier Typbeschreibungen (SPC gegen GLOBAL-Definition).
+ * Liefert eine Liste lesbarer Abweichungen (leer = verträglich).
+ */
+function compareTypeDescriptions(spec, def, what = '') {
+  const differences = [];
+  const prefix = what ? `${what}: ` : '';
+
+  const specTypename = normalizeTypename(spec.typename);
+  const defTypename = normalizeTypename(def.typename);
+  if (specTypename !== defTypename) {
+    differences.push(`${prefix}Typ ${formatTypeDescription(spec)} statt ${formatTypeDescription(def)}`);
+    return differences;   // weitere Vergleiche sind dann sinnlos
+  }
+
+  const specPrecision = getPrecision(spec);
+  const defPrecision = getPrecision(def);
+  if (specPrecision !== defPrecision) {
+    differences.push(`${prefix}Länge ${specTypename}(${specPrecision}) statt ${defTypename}(${defPrecision})`);
+  }
+
+  if ((spec.dim || 0) !== (def.dim || 0)) {
+    differences.push(`${prefix}${spec.dim || 0} statt ${def.dim || 0} Dimension(en)`);
+  }
+  else if (spec.dimensions && def.dimensions) {
+    for (let i = 0; i < spec.dimensions.length; i++) {
+      const specBound = spec.dimensions[i];
+      const defBound = def.dimensions[i];
+      if (/^[0-9:]+$/.test(specBound) && /^[0-9:]+$/.test(defBound) && specBound !== defBound) {
+        differences.push(`${prefix}Feldgrenze ${i + 1}: (${specBound}) statt (${defBound})`);
+      }
+    }
+  }
+
+  if (!!spec.inv !== !!def.inv) {
+    differences.push(`${prefix}${spec.inv ? 'INV' : 'ohne INV'} statt ${def.inv ? 'INV' : 'ohne INV'}`);
+  }
+  if (!!spec.ref !== !!def.ref) {
+    differences.push(`${prefix}${spec.ref ? 'REF' : 'ohne REF'} statt ${def.ref ? 'REF' : 'ohne REF'}`);
+  }
+  if (what && !!spec.ident !== !!def.ident) {   // IDENT nur bei Parametern relevant
+    differences.push(`${prefix}${spec.ident ? 'IDENT' : 'ohne IDENT'} statt ${def.ident ? 'IDENT' : 'ohne IDENT'}`);
+  }
+
+  if (specTypename === 'PROCEDURE' && !spec.ref) {
+    const specParams = spec.params || [];
+    const defParams = def.params || [];
+    if (specParams.length !== defParams.length) {
+      differences.push(`${prefix}${specParams.length} statt ${defParams.length} Parameter`);
+    }
+    else {
+      for (let i = 0; i < specParams.length; i++) {
+        differences.push(...compareTypeDescriptions(specParams[i], defParams[i], `Parameter ${i + 1}`));
+      }
+    }
+
+    if (!spec.returns !== !def.returns) {
+      differences.push(`${prefix}${spec.returns ? 'RETURNS' : 'ohne RETURNS'} statt ${def.returns ? 'RETURNS' : 'ohne RETURNS'}`);
+    }
+    else if (spec.returns && def.returns) {
+      differences.push(...compareTypeDescriptions(spec.returns, def.returns, 'RETURNS'));
+    }
+  }
+
+  return differences;
+}
+
+function describeIndexEntry(entry) {
+  const file = path.basename(filePathFromUri(entry.uri));
+  return entry.containerName ? `${entry.containerName} (${file})` : file;
+}
+
+/**
+ * Link-Diagnostics eines Moduls: SPC ... GLOBAL ohne bzw. mit mehrfacher
+ * GLOBAL-Definition sowie GLOBAL-Definitionen, die es in anderen Modulen ebenfalls gibt.
+ * Einträge aus Include-Dateien werden an der #include-Zeile des Moduls gemeldet,
+ * mit Verweis auf die Stelle in der Include-Datei.
+ */
+function computeLinkDiagnostics(uri) {
+  const diagnostics = [];
+  if (!workspaceIndex.ready) return diagnostics;
+
+  function report(entry, severity, message, relatedInformation = []) {
+    if (entry.uri === uri) {
+      diagnostics.push({
+        severity, message, range: entry.range, source: 'pearl-lsp',
+        relatedInformation: relatedInformation.length > 0 ? relatedInformation : undefined
+      });
+      return;
+    }
+    if (!entry.includeRange) return;
+    diagnostics.push({
+      severity,
+      message: `${path.basename(filePathFromUri(entry.uri))}: ${message}`,
+      range: entry.includeRange,
+      source: 'pearl-lsp',
+      relatedInformation: [{
+        location: { uri: entry.uri, range: entry.range },
+        message: `${entry.statement} ${entry.name} in ${path.basename(filePathFromUri(entry.uri))}`
+      }, ...relatedInformation]
+    });
+  }
+
+  const entries = workspaceIndex.files.get(uri) || [];
+  for (const entry of entries) {
+    if (BUILTIN_PROCS[entry.name]) continue;   // vom Laufzeitsystem bereitgestellt
+
+    const definitions = findGlobalDefinitions(entry.name);
+    if (entry.statement === 'SPC') {
+      if (definitions.length === 0) {
+        report(entry, DiagnosticSeverity.Warning, `Link: ${entry.name} ist in keinem Modul des Workspace GLOBAL definiert.`);
+      }
+      else if (definitions.length === 1) {
+        const definition = definitions[0];
+        const differences = compareTypeDescriptions(entry.typeDescription, definition.typeDescription);
+        if (differences.length > 0) {
+          report(entry, DiagnosticSeverity.Error,
+            `Link: SPC ${entry.name} passt nicht zur GLOBAL-Definition in ${describeIndexEntry(definition)}: ${differences.join('; ')}.`,
+            [{
+              location: { uri: definition.uri, range: definition.range },
+              message: `GLOBAL-Definition: ${formatTypeDescription(definition.typeDescription)}`
+            }]);
+        }
+      }
+      else {
+        report(entry, DiagnosticSeverity.Error,
+          `Link: ${entry.name} ist mehrfach GLOBAL definiert: ${definitions.map(describeIndexEntry).join(', ')}.`,
+          definitions.map(definition => ({
+            location: { uri: definition.uri, range: definition.range },
+            message: `GLOBAL-Definition von ${definition.name}`
+          })));
+      }
+    }
+    else {
+      const others = definitions.filter(definition => definition.uri !== entry.uri || definition.startOffset !== entry.startOffset);
+      if (others.length > 0) {
+        report(entry, DiagnosticSeverity.Error,
+          `Link: ${entry.name} ist auch in ${others.map(describeIndexEntry).join(', ')} GLOBAL definiert.`,
+          others.map(definition => ({
+            location: { uri: definition.uri, range: definition.range },
+            message: `weitere GLOBAL-Definition von ${definition.name}`
+          })));
+      }
+
+      // SPCs anderer Module gegen diese Definition prüfen
+      const mismatches = [];
+      const seen = new Set();
+      for (const spec of workspaceIndex.findByName(entry.name, ['SPC'])) {
+        const key = `${spec.uri}#${spec.startOffset}`;
+        if (spec.uri === entry.uri || spec.sourceUri === entry.sourceUri || seen.has(key)) continue;
+        seen.add(key);
+
+        const differences = compareTypeDescriptions(spec.typeDescription, entry.typeDescription);
+        if (differences.length > 0) {
+          mismatches.push({ spec, differences });
+        }
+      }
+      if (mismatches.length > 0) {
+        report(entry, DiagnosticSeverity.Error,
+          `Link: GLOBAL ${entry.name} (${formatTypeDescription(entry.typeDescription)}) wird in ${mismatches.map(m => describeIndexEntry(m.spec)).join(', ')} mit abweichendem Typ spezifiziert.`,
+          mismatches.map(m => ({
+            location: { uri: m.spec.uri, range: m.spec.range },
+            message: `SPC: ${formatTypeDescription(m.spec.typeDescription)} (${m.differences.join('; ')})`
+          })));
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+async function scanWorkspaceFolders(folders) {
+  const uris = [];
+  for (const folder of folders) {
+    await findPearlFiles(filePathFromUri(folder.uri), uris);
+  }
+  queueIndexFiles(uris);
+}
+
+function getIndexedWorkspaceFolders() {
+  if (workspaceFolders && workspaceFolders.length > 0) {
+    return workspaceFolders;
+  }
+  if (legacyRootUri) {
+    return [{ uri: legacyRootUri, name: '' }];
+  }
+  return [];
+}
+
+// ------------------------------
+// Hilfsfunktionen für DCL/SPC
+// ------------------------------
+
+function logIdentifier( identifier, msg = '' ) {
+  const nameToken = identifier.nameToken;
+  const typeTokens = identifier.typeTokens;
+  let typeString = ' ';
+  for (const idType of typeTokens) {
+    typeString += idType.value + ' ';
+  }
+  const td = identifier.typeDescription;          
+  connection.console.log(`${msg} value: ${nameToken.value} typeString: ${typeString}; dim: ${td.dim} inv: ${td.inv}, ref: ${td.ref}, typename: ${td.typename} global: ${td.global}, init: ${td.init}`);
+}
+
+// ------------------------------
+// Snippets
+// ------------------------------
+
+// context: 'toplevel' (außerhalb MODULE), 'module' (direkt im MODULE),
+// 'problem' (PROBLEM-Teil auf Modulebene), 'body' (innerhalb TASK/PROC)
+const PEARL_SNIPPETS = [
+  {
+    prefix: 'MODULE',
+    description: 'Modulgerüst MODULE/SYSTEM/PROBLEM/MODEND',
+    context: 'toplevel',
+    body: [
+      'MODULE ${1:Name};',
+      '',
+      'SYSTEM;',
+      '\t$2',
+      '',
+      'PROBLEM;',
+      '\t$0',
+      '',
+      `${BLOCK_END_MAP.MODULE};`
+    ]
+  },
+  {
+    prefix: 'SYSTEM',
+    description: 'SYSTEM-Teil',
+    context: 'module',
+    body: ['SYSTEM;', '\t$0']
+  },
+  {
+    prefix: 'PROBLEM',
+    description: 'PROBLEM-Teil',
+    context: 'module',
+    body: ['PROBLEM;', '\t$0']
+  },
+  {
+    prefix: 'TASK',
+    description: 'TASK mit Priorität',
+    context: 'problem',
+    body: [
+      '${1:Name}: TASK PRIO ${2:10};',
+      '\t$0',
+      `${BLOCK_END_MAP.TASK};`
+    ]
+  },
+  {
+    prefix: 'PROC',
+    description: 'PROC mit Parameter und RETURNS',
+    context: 'problem',
+    body: [
+      '${1:Name}: PROC (${2:param} ${3:FIXED}) RETURNS (${4:FIXED});',
+      '\t$0',
+      '\tRETURN (${5:0});',
+      `${BLOCK_END_MAP.PROC};`
+    ]
+  },
+  {
+    prefix: 'IF',
+    description: 'IF ... THEN ... ELSE ... FIN',
+    context: 'body',
+    body: [
+      'IF ${1:Bedingung} THEN',
+      '\t$2',
+      'ELSE',
+      '\t$0',
+      `${BLOCK_END_MAP.IF};`
+    ]
+  },
+  {
+    prefix: 'CASE',
+    description: 'CASE ... ALT ... OUT ... FIN',
+    context: 'body',
+    body: [
+      'CASE ${1:Ausdruck}',
+      'ALT (${2:1})',
+      '\t$3',
+      'ALT (${4:2})',
+      '\t$5',
+      'OUT',
+      '\t$0',
+      `${BLOCK_END_MAP.CASE};`
+    ]
+  },
+  {
+    prefix: 'FOR',
+    description: 'FOR ... REPEAT ... END',
+    context: 'body',
+    body: [
+      'FOR ${1:i} FROM ${2:1} BY ${3:1} TO ${4:10} REPEAT',
+      '\t$0',
+      `${BLOCK_END_MAP.REPEAT};`
+    ]
+  },
+  {
+    prefix: 'WHILE',
+    description: 'WHILE ... REPEAT ... END',
+    context: 'body',
+    body: [
+      'WHILE ${1:Bedingung} REPEAT',
+      '\t$0',
+      `${BLOCK_END_MAP.REPEAT};`
+    ]
+  },
+  {
+    prefix: 'BEGIN',
+    description: 'BEGIN ... END',
+    context: 'body',
+    body: [
+      'BEGIN',
+      '\t$0',
+      `${BLOCK_END_MAP.BEGIN};`
+    ]
+  }
+];
+
+/**
+ * Ermittelt, welche Snippets an der Position (Zustand der Analyse bis dorthin) erlaubt sind
+ */
+function getSnippetContexts(analysis) {
+  const { blockStack, section } = analysis;
+
+  if (blockStack.length === 0) return ['toplevel'];
+
+  const contexts = [];
+  const moduleLevel = blockStack.length === 1
+    && (blockStack[0].keyword === 'MODULE' || blockStack[0].keyword === 'SHELLMODULE');
+  if (moduleLevel) {
+    contexts.push('module');
+    if (section === 'PROBLEM') contexts.push('problem');
+  }
+  if (blockStack.some(block => ['TASK', 'PROC', 'PROCEDURE'].includes(block.keyword))) {
+    contexts.push('body');
+  }
+  return contexts;
+}
+
+function snippetCompletionItems(analysis) {
+  const contexts = getSnippetContexts(analysis);
+  return PEARL_SNIPPETS
+    .filter(snippet => contexts.includes(snippet.context))
+    .map(snippet => {
+      const insertText = snippet.body.join('\n');
+      return {
+        label: `${snippet.prefix} …`,
+        filterText: snippet.prefix,
+        kind: CompletionItemKind.Snippet,
+        detail: snippet.description,
+        insertText,
+        insertTextFormat: InsertTextFormat.Snippet,
+        sortText: `0${snippet.prefix}`,
+        data: { kind: 'snippet' },
+        documentation: {
+          kind: 'markdown',
+          value: `\`\`\`pearl\n${insertText.replace(/\$\{\d+:([^}]*)\}/g, '$1').replace(/\$\d+/g, '')}\n\`\`\``
+        }
+      };
+    });
+}
+
+// ------------------------------
+// Completion
+// ------------------------------
+
+// Schlüsselwörter, nach denen eine neue Anweisung beginnt
+const STATEMENT_START_KEYWORDS = ['THEN', 'ELSE', 'REPEAT', 'BEGIN', 'OUT'];
+
+// Typangaben nach dem Namen in DCL/SPC
+const DECLARATION_TYPE_KEYWORDS = ['INV', 'REF', 'STRUCT'];
+const SPECIFICATION_TYPE_KEYWORDS = ['PROC', 'ENTRY', 'TASK'];
+
+/**
+ * Tokens der aktuellen Anweisung vor der Cursorposition (ohne führende Labels).
+ */
+function getStatementTokensBefore(tokens, uri, offset) {
+  const codeTokens = tokens.filter(t =>
+    t.uri === uri && t.endOffset <= offset && !t.macro
+    && t.type !== 'comment' && t.type !== 'inactive' && t.type !== 'preproc'
+  );
+
+  let start = codeTokens.length;
+  while (start > 0) {
+    const t = codeTokens[start - 1];
+    if (t.type === 'symbol' && t.value === ';') break;
+    if (t.type === 'keyword' && STATEMENT_START_KEYWORDS.includes(t.value)) break;
+    start--;
+  }
+
+  let statement = codeTokens.slice(start);
+  // Label: Anweisung
+  while (statement.length >= 2 && statement[0].type === 'identifier' && statement[1].type === 'symbol' && statement[1].value === ':') {
+    statement = statement.slice(2);
+  }
+  return statement;
+}
+
+/**
+ * Art der Vervollständigung an der Cursorposition:
+ * 'task' | 'sema' | 'bolt' | 'label' | 'type' | 'statement'
+ */
+function getCompletionContextKind(statement) {
+  if (statement.length === 0) return 'statement';
+
+  const first = statement[0];
+  const previous = statement[statement.length - 1];
+  const previousIsSeparator = previous.type === 'symbol' && previous.value === ',';
+
+  if (first.type === 'keyword') {
+    if (Object.hasOwn(TASK_CTRL_KEYWORDS, first.value) && previous === first) return 'task';
+    if ((SEMA_OP_KEYWORDS.includes(first.value) && (previous === first || previousIsSeparator))
+      || (first.value === 'SEMASET' && previousIsSeparator)) return 'sema';
+    if (BOLT_OP_KEYWORDS.includes(first.value) && (previous === first || previousIsSeparator)) return 'bolt';
+    if (first.value === 'GOTO' && previous === first) return 'label';
+
+    if (['DCL', 'DECLARE', 'SPC', 'SPECIFY'].includes(first.value) && statement.length >= 2) {
+      // DCL name |   DCL (a, b) |   DCL name (10) |   DCL name INV |
+      if (previous.type === 'identifier' || (previous.type === 'symbol' && previous.value === ')')
+        || (previous.type === 'keyword' && (previous.value === 'INV' || previous.value === 'REF'))) {
+        return 'type';
+      }
+    }
+  }
+
+  if (previous.type === 'keyword' && previous.value === 'CALL') return 'procedure';
+
+  return 'statement';
+}
+
+function getCompletionItemKind(typeDescription) {
+  switch (getOutlineSymbolKind(typeDescription)) {
+    case SymbolKind.Function: return CompletionItemKind.Function;
+    case SymbolKind.Class: return CompletionItemKind.Class;
+    case SymbolKind.Property: return CompletionItemKind.Property;
+    case SymbolKind.Struct: return CompletionItemKind.Struct;
+    case SymbolKind.Constant: return CompletionItemKind.Constant;
+    case SymbolKind.File: return CompletionItemKind.File;
+    case SymbolKind.Event: return CompletionItemKind.Event;
+  }
+  return CompletionItemKind.Variable;
+}
+
+/**
+ * Sichtbare Symbole an der Cursorposition (innere Scopes verdecken äußere)
+ */
+function collectVisibleSymbols(scopeStack) {
+  const visible = new Map();
+  for (let i = scopeStack.length - 1; i >= 0; i--) {
+    for (const [name, identifier] of Object.entries(scopeStack[i] || {})) {
+      if (!visible.has(name)) {
+        visible.set(name, identifier);
+      }
+    }
+  }
+  return visible;
+}
+
+/**
+ * Labels der PROC/TASK, in der die Position liegt (auch später definierte)
+ */
+function collectLabelsAt(outline, uri, offset) {
+  for (const node of outline) {
+    if (node.uri !== uri || offset < node.startOffset || offset > node.endOffset) continue;
+    if (node.kind === SymbolKind.Function || node.kind === SymbolKind.Class) {
+      return node.children.filter(child => child.kind === SymbolKind.Key).map(child => child.name);
+    }
+    return collectLabelsAt(node.children, uri, offset);
+  }
+  return [];
+}
+
+function symbolCompletionItem(name, identifier) {
+  return {
+    label: name,
+    kind: getCompletionItemKind(identifier.typeDescription),
+    detail: formatTypeDescription(identifier.typeDescription),
+    sortText: `0${name}`,
+    data: { kind: 'symbol' }
+  };
+}
+
+function keywordCompletionItems(keywords, sortPrefix) {
+  return keywords.map((kw) => ({
+    label: kw,
+    kind: CompletionItemKind.Keyword,
+    sortText: `${sortPrefix}${kw}`,
+    data: { kind: 'keyword' }
+  }));
+}
+
+function macroCompletionItems(defines) {
+  const items = [];
+  for (const [name, define] of defines) {
+    items.push({
+      label: name,
+      kind: CompletionItemKind.Constant,
+      detail: define.value ? `#define ${name} "${define.value}"` : `#define ${name}`,
+      sortText: `1${name}`,
+      data: { kind: 'macro' }
+    });
+  }
+  return items;
+}
+
+function builtinCompletionItems(dialect) {
+  return Object.keys(BUILTIN_PROCS).map(name => {
+    const overloads = getDialectBuiltin(dialect, name);
+    if (!overloads) return null;
+    const { params, returns } = overloads[0];
+    const more = overloads.length - 1;
+    return {
+      label: name,
+      kind: CompletionItemKind.Function,
+      detail: buildSignatureInformation(name, params, returns).label
+        + (more > 0 ? ` (+${more} ${more === 1 ? 'Überladung' : 'Überladungen'})` : ''),
+      sortText: `1${name}`,
+      data: { kind: 'builtin', name }
+    };
+  }).filter(item => item !== null);
+}
+
+connection.onCompletion(async (params) => {
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);
+  if (!doc) return [];
+
+  // Anfang des gerade getippten Wortes
+  const text = doc.getText();
+  let wordStart = doc.offsetAt(params.position);
+  while (wordStart > 0 && /[A-Za-z0-9_]/.test(text[wordStart - 1])) {
+    wordStart--;
+  }
+
+  const settings = await getDocumentSettings(uri);
+  const analysis = analyze(uri, text, settings, { stopOffset: wordStart });  // Scopes an der Cursorposition
+  const statement = getStatementTokensBefore(analysis.tokens, uri, wordStart);
+  const contextKind = getCompletionContextKind(statement);
+  const visible = collectVisibleSymbols(analysis.scopeStack);
+
+  const symbolsOfType = (...typenames) => [...visible]
+    .filter(([, identifier]) => identifier.typeDescription && typenames.includes(identifier.typeDescription.typename))
+    .map(([name, identifier]) => symbolCompletionItem(name, identifier));
+
+  switch (contextKind) {
+    case 'task':
+      return symbolsOfType('TASK');
+    case 'sema':
+      return symbolsOfType('SEMA');
+    case 'bolt':
+      return symbolsOfType('BOLT');
+    case 'label': {
+      const fullAnalysis = await getCurrentAnalysis(doc);
+      return collectLabelsAt(fullAnalysis.outline, uri, wordStart).map(name => ({
+        label: name,
+        kind: CompletionItemKind.Reference,
+        detail: 'Label',
+        data: { kind: 'label' }
+      }));
+    }
+    case 'type': {
+      const keywords = [...analysis.dialect.types, ...DECLARATION_TYPE_KEYWORDS];
+      if (statement[0].value === 'SPC' || statement[0].value === 'SPECIFY') {
+        keywords.push(...SPECIFICATION_TYPE_KEYWORDS);
+      }
+      return [
+        ...symbolsOfType('TYPE'),
+        ...keywordCompletionItems(keywords, '1')
+      ];
+    }
+    case 'procedure': {
+      // PROCs stehen im Modul-Scope, auch weiter unten definierte sind aufrufbar;
+      // an der Cursorposition sichtbare Namen verdecken sie
+      const fullAnalysis = await getCurrentAnalysis(doc);
+      const candidates = new Map(Object.entries(fullAnalysis.scopeStack[0] || {}));
+      for (const [name, identifier] of visible) {
+        candidates.set(name, identifier);
+      }
+      return [
+        ...[...candidates]
+          .filter(([, identifier]) => identifier.typeDescription && identifier.typeDescription.typename === 'PROCEDURE')
+          .map(([name, identifier]) => symbolCompletionItem(name, identifier)),
+        ...builtinCompletionItems(analysis.dialect)
+      ];
+    }
+  }
+
+  const items = [...visible]
+    .filter(([, identifier]) => identifier.typeDescription
+      && !['@LABEL', 'MODULE', 'SHELLMODULE'].includes(identifier.typeDescription.typename))
+    .map(([name, identifier]) => symbolCompletionItem(name, identifier));
+
+  // Snippets nur am Anfang einer Anweisung
+  const snippets = statement.length === 0 ? snippetCompletionItems(analysis) : [];
+
+  return items.concat(
+    snippets,
+    macroCompletionItems(analysis.defines),
+    builtinCompletionItems(analysis.dialect),
+    keywordCompletionItems([...analysis.dialect.keywords], '2')
+  );
+});
+
+connection.onCompletionResolve((item) => {
+  const data = item.data || {};
+  if (data.kind === 'keyword') {
+    item.detail = 'PEARL-Schlüsselwort';
+    item.documentation = `Dies ist das PEARL-Schlüsselwort \`${item.label}\`.`;
+  }
+  else if (data.kind === 'builtin' && BUILTIN_PROCS[data.name]) {
+    item.documentation = {
+      kind: 'markdown',
+      value: builtinDocumentation(BUILTIN_PROCS[data.name])
+    };
+  }
+  return item;
+});
+
+// ------------------------------
+// Hover
+// ------------------------------
+
+function escapeMarkdown(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return text.replace(/[\\`*_{}[\]()#+\-.!]/g, '\\$&');
+}
+
+// Hover über Schlüsselwörtern: zugehörige Anweisung aus dem AST
+const AST_NODE_DESCRIPTIONS = {
+  Module: 'Modul',
+  SystemPart: 'SYSTEM-Teil',
+  ProblemPart: 'PROBLEM-Teil',
+  SystemDefinition: 'Gerätedefinition',
+  Procedure: 'Prozedur/Task-Definition',
+  Declaration: 'Deklaration',
+  TypeDeclaration: 'Typdefinition',
+  IfStatement: 'IF-Anweisung',
+  CaseStatement: 'CASE-Anweisung',
+  CaseAlternative: 'CASE-Alternative',
+  LoopStatement: 'Schleife',
+  BlockStatement: 'BEGIN-Block',
+  GotoStatement: 'Sprunganweisung',
+  ReturnStatement: 'Rücksprung',
+  ExitStatement: 'Blockverlassen',
+  CallStatement: 'Prozeduraufruf',
+  TaskStatement: 'Taskanweisung',
+  ScheduleClause: 'Einplanung',
+  SynchronizationStatement: 'Synchronisationsanweisung',
+  IoStatement: 'Ein-/Ausgabeanweisung',
+  KeywordStatement: 'Anweisung',
+  Unary: 'monadischer Operator',
+  Binary: 'dyadischer Operator'
+};
+
+const LITERAL_DESCRIPTIONS = {
+  fixed: 'FIXED-Konstante',
+  float: 'FLOAT-Konstante',
+  string: 'CHAR-Konstante',
+  bitstring: 'BIT-Konstante',
+  clock: 'CLOCK-Konstante',
+  duration: 'DURATION-Konstante',
+  nil: 'Leerreferenz'
+};
+
+function symbolHover(name, identifier) {
+  const typeDescription = identifier.typeDescription || {};
+  let declaration;
+  if (typeDescription.typename === '@LABEL') {
+    declaration = `${name}:`;
+  }
+  else if (typeDescription.typename === 'TYPE') {
+    declaration = `TYPE ${name}`;
+  }
+  else if (identifier.statement === 'PROC' || identifier.statement === 'TASK') {
+    declaration = `${name}: ${formatTypeDescription(typeDescription)}`;
+  }
+  else {
+    const statement = identifier.statement ? `${identifier.statement} ` : '';
+    declaration = `${statement}${name} ${formatTypeDescription(typeDescription)}`;
+    if (typeDescription.global) declaration += ' GLOBAL';
+  }
+
+  const nameToken = identifier.nameToken;
+  const doc = documentRegistry.get(nameToken.uri);
+  let location = '';
+  if (doc) {
+    const file = path.basename(fileURLToPath(nameToken.uri));
+    location = `\n\nDeklariert in ${escapeMarkdown(file)}, Zeile ${doc.positionAt(nameToken.startOffset).line + 1}`;
+  }
+  return `\`\`\`pearl\n${declaration}\n\`\`\`${location}`;
+}
+
+// Hover über Makros: Ersetzungstext, Ergebnis der Expansion, Definitionsstelle
+// und die von #ifdef/#ifndef abhängigen Bereiche
+const MACRO_HOVER_MAX_REGIONS = 10;
+
+// Vollständig expandierter Text an einer Verwendungsstelle (Tokens hinter dem Makro-Token)
+function macroExpansionText(tokens, macroToken) {
+  let text = '';
+  let previous = null;
+  for (let i = tokens.indexOf(macroToken) + 1; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!t.macro || t.uri !== macroToken.uri || t.startOffset !== macroToken.startOffset) break;
+    if (t.type === 'preproc' || t.type === 'comment') continue;
+    if (previous && !NO_SPACE_BEFORE.includes(t.value) && !NO_SPACE_AFTER.includes(previous.value)) {
+      text += ' ';
+    }
+    text += t.value;
+    previous = t;
+  }
+  return text;
+}
+
+// Fundstelle als "Datei, Zeile(n) ..."; endOffset null: Bereich ohne Abschluss
+function describeLines(uri, startOffset, endOffset = startOffset) {
+  const doc = documentRegistry.get(uri);
+  if (!doc) return '';
+  const file = escapeMarkdown(path.basename(filePathFromUri(uri)));
+  const startLine = doc.positionAt(startOffset).line + 1;
+  if (endOffset === null) return `${file}, ab Zeile ${startLine} (nicht abgeschlossen)`;
+  const endLine = doc.positionAt(endOffset).line + 1;
+  return startLine === endLine ? `${file}, Zeile ${startLine}` : `${file}, Zeilen ${startLine}–${endLine}`;
+}
+
+// Makroname im Ersetzungstext einer #define-Zeile an offset: { macroName, macroDefinition } oder null
+function macroReferenceAt(token, offset, defines) {
+  const reference = (token.macroReferences || []).find(r => offset >= r.startOffset && offset < r.endOffset);
+  if (!reference) return null;
+  const definition = reference.definition || (defines && defines.get(reference.name));
+  return definition ? { macroName: reference.name, macroDefinition: definition } : null;
+}
+
+function macroHover(tokens, macroToken) {
+  const name = macroToken.macroName;
+  const define = macroToken.macroDefinition;
+  const parts = [];
+
+  if (!define) {
+    parts.push(`Makro **${escapeMarkdown(name)}** ist hier nicht definiert.`);
+  }
+  else {
+    const declaration = define.define || (define.value ? `${name}=${define.value}` : name);
+    parts.push(`\`\`\`pearl\n${declaration}\n\`\`\``);
+    // Expansion an dieser bzw. (ohne Parameter) an der ersten Verwendungsstelle
+    const useToken = macroToken.define !== undefined
+      ? macroToken
+      : (!define.params && tokens.find(t => t.macroDefinition === define && t.define !== undefined && !t.macro));
+    if (useToken) {
+      parts.push(`Expansion: \`${macroExpansionText(tokens, useToken)}\``);
+    }
+    if (define.definition) {
+      parts.push(`Definiert in ${describeLines(define.definition.uri, define.definition.startOffset)}`);
+    }
+    else if (define.setting) {
+      parts.push('Definiert in der Einstellung `pearl.macros`');
+    }
+  }
+
+  const regions = tokens.filter(t => t.macroName === name && t.type === 'preproc' && /^#IF/i.test(t.value));
+  if (regions.length > 0) {
+    const lines = regions.slice(0, MACRO_HOVER_MAX_REGIONS).map(t => {
+      const end = t.conditionEnd && t.conditionEnd.uri === t.uri ? t.conditionEnd.endOffset : null;
+      return `- \`${t.value.split(/\s+/)[0]}\` ${describeLines(t.uri, t.startOffset, end)}`;
+    });
+    if (regions.length > MACRO_HOVER_MAX_REGIONS) {
+      lines.push(`- … (${regions.length - MACRO_HOVER_MAX_REGIONS} weitere)`);
+    }
+    parts.push(`Bedingte Bereiche:\n${lines.join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+connection.onHover((params) => {
+  const uri = params.textDocument.uri;
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if ( !analysis || !analysis.tokens ) return null;
+
+  const doc = documentRegistry.get(uri);
+  if (!doc) return null;
+
+  const offset = doc.offsetAt(params.position);
+
+  // Pfad eines #include
+  const includeEntry = getIncludeEntries(analysis.tokens, uri)
+    .find(entry => offset >= entry.startOffset && offset < entry.endOffset);
+  if (includeEntry) {
+    return { contents: { kind: 'markdown', value: includeHover(includeEntry) } };
+  }
+
+  const targetToken = findTokenAt(analysis.tokens, uri, offset);
+  if (!targetToken) return null;
+
+  // Makro (Verwendung, #define, #ifdef, #undef)
+  if ( targetToken.macroName !== undefined ) {
+    // Name im Ersetzungstext: eigenes Makro statt des definierten
+    const reference = macroReferenceAt(targetToken, offset, analysis.defines);
+    if (!reference && targetToken.valueStartOffset !== undefined && offset >= targetToken.valueStartOffset) {
+      return null;   // anderer Text im Ersetzungstext
+    }
+    return { contents: { kind: 'markdown', value: macroHover(analysis.tokens, reference || targetToken) } };
+  }
+
+  // Keine Hoverinfos in Kommentaren und inaktiven Bereichen
+  if (targetToken.type === 'comment' || targetToken.type === 'inactive' || targetToken.type === 'preproc') {
+    return null;
+  }
+
+  const node = analysis.ast ? findNodeAt(analysis.ast, uri, offset) : null;
+  const nameToken = node && node.type === 'Name' ? node.token : targetToken;
+
+  const symbol = getSymbolForToken(nameToken);
+  if (symbol) {
+    return { contents: { kind: 'markdown', value: symbolHover(nameToken.value, symbol) } };
+  }
+
+  if (nameToken.builtin) {
+    // Überladung passend zu den Argumenten des Aufrufs (aus der Typprüfung)
+    const selected = analysis.builtinOverloads ? analysis.builtinOverloads.get(nameToken) : null;
+    return {
+      contents: {
+        kind: 'markdown',
+        value: builtinDocumentation(nameToken.builtin, selected)
+      }
+    };
+  }
+
+  if (node && node.type === 'Literal') {
+    const precision = node.precision !== null && node.precision !== undefined ? `(${node.precision})` : '';
+    return {
+      contents: {
+        kind: 'markdown',
+        value: `${LITERAL_DESCRIPTIONS[node.kind] || 'Konstante'}${precision}: \`${node.value}\``
+      }
+    };
+  }
+
+  if (node && (targetToken.type === 'keyword' || targetToken.type === 'operator') && AST_NODE_DESCRIPTIONS[node.type]) {
+    return {
+      contents: {
+        kind: 'markdown',
+        value: `**${escapeMarkdown(targetToken.value)}**: ${AST_NODE_DESCRIPTIONS[node.type]}`
+      }
+    };
+  }
+
+  if (targetToken.type === 'keyword') {
+    return {
+      contents: {
+        kind: 'markdown',
+        value: `**${escapeMarkdown(targetToken.value)}** ist ein PEARL-Schlüsselwort.`
+      }
+    };
+  }
+
+  return null;
+});
+
+// ------------------------------
+// Signature Help
+// ------------------------------
+
+const IDENT_PARAMETER_DOCUMENTATION = '**IDENT**: Übergabe per Referenz, als Argument ist eine Variable erforderlich.';
+
+/**
+ * Offene Aufrufklammer vor der Cursorposition suchen.
+ * Liefert { callee, activeParameter } oder null.
+ */
+function findCallContext(tokens, uri, offset) {
+  const codeTokens = tokens.filter(t =>
+    t.uri === uri && t.endOffset <= offset && !t.macro
+    && t.type !== 'comment' && t.type !== 'inactive'
+  );
+
+  let parenLevel = 0;
+  let activeParameter = 0;
+  for (let i = codeTokens.length - 1; i >= 0; i--) {
+    const t = codeTokens[i];
+    if (t.type !== 'symbol') continue;
+
+    if (t.value === ')') {
+      ++parenLevel;
+    }
+    else if (t.value === '(') {
+      if (parenLevel === 0) {
+        const callee = codeTokens[i - 1];
+        if (callee && (callee.type === 'identifier' || callee.type === 'preproc')) {
+          return { callee, activeParameter };
+        }
+        return null;
+      }
+      --parenLevel;
+    }
+    else if (t.value === ',' && parenLevel === 0) {
+      ++activeParameter;
+    }
+    else if (t.value === ';') {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Signatur einer vordefinierten Prozedur zerlegen:
+ * "SPC NAME ENTRY ( a FIXED, b CHAR(255) IDENT ) RETURNS ( FIXED ) GLOBAL ;"
+ */
+function parseBuiltinSignature(signature) {
+  const result = { params: [], returns: null };
+
+  const head = /^\s*SPC\s+[A-Za-z][A-Za-z0-9_]*\s+(?:PROC|PROCEDURE|ENTRY)\s*/.exec(signature);
+  let rest = head ? signature.slice(head[0].length) : '';
+
+  if (rest.startsWith('(')) {
+    let parenLevel = 0;
+    let current = '';
+    let i = 0;
+    for (; i < rest.length; i++) {
+      const c = rest[i];
+      if (c === '(') {
+        if (parenLevel++ === 0) continue;
+      }
+      else if (c === ')') {
+        if (--parenLevel === 0) break;
+      }
+      else if (c === ',' && parenLevel === 1) {
+        result.params.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += c;
+    }
+    if (current.trim()) {
+      result.params.push(current.trim());
+    }
+    rest = rest.slice(i + 1);
+  }
+
+  const returns = /RETURNS\s*\((.*)\)\s*GLOBAL/.exec(rest);
+  if (returns) {
+    result.returns = returns[1].trim();
+  }
+
+  return result;
+}
+
+/**
+ * SignatureInformation aus Name, Parametertexten und RETURNS-Typ bauen.
+ */
+function buildSignatureInformation(name, paramLabels, returns, documentation) {
+  let label = `${name}: PROC`;
+  const parameters = [];
+
+  if (paramLabels.length > 0) {
+    label += ' (';
+    paramLabels.forEach((paramLabel, index) => {
+      if (index > 0) label += ', ';
+      const start = label.length;
+      label += paramLabel;
+      parameters.push({
+        label: [start, label.length],
+        documentation: /\bIDENT\b/.test(paramLabel)
+          ? { kind: 'markdown', value: IDENT_PARAMETER_DOCUMENTATION }
+          : undefined
+      });
+    });
+    label += ')';
+  }
+  if (returns) {
+    label += ` RETURNS (${returns})`;
+  }
+
+  return {
+    label,
+    documentation: documentation ? { kind: 'markdown', value: documentation } : undefined,
+    parameters
+  };
+}
+
+/**
+ * Signaturen zum aufgerufenen Namen; bei vordefinierten Prozeduren alle Überladungen,
+ * aktiv ist die zu den Argumenten passende.
+ * Liefert { signatures, activeSignature } oder null.
+ */
+function getSignaturesForToken(token, analysis) {
+  if (token.builtin) {
+    const selected = analysis.builtinOverloads ? analysis.builtinOverloads.get(token) : null;
+    return {
+      signatures: token.builtin.map(overload =>
+        buildSignatureInformation(token.value, overload.params, overload.returns, `*${escapeMarkdown(builtinDescription(overload))}*`)
+      ),
+      activeSignature: Math.max(0, token.builtin.indexOf(selected))
+    };
+  }
+
+  const identifier = token.definition;
+  if (!identifier || !identifier.typeDescription) return null;
+
+  const td = identifier.typeDescription;
+  if (normalizeTypename(td.typename) !== 'PROCEDURE') return null;
+
+  const paramLabels = (td.params || []).map(param =>
+    (param.name ? `${param.name} ` : '') + formatTypeDescription(param)
+  );
+  return {
+    signatures: [ buildSignatureInformation(token.value, paramLabels, td.returns ? formatTypeDescription(td.returns) : null) ],
+    activeSignature: 0
+  };
+}
+
+connection.onSignatureHelp(async (params) => {
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);
+  if (!doc) return null;
+
+  const analysis = await getCurrentAnalysis(doc);
+  const context = findCallContext(analysis.tokens, uri, doc.offsetAt(params.position));
+  if (!context) return null;
+
+  const help = getSignaturesForToken(context.callee, analysis);
+  if (!help) return null;
+
+  return {
+    signatures: help.signatures,
+    activeSignature: help.activeSignature,
+    activeParameter: context.activeParameter
+  };
+});
+
+// ------------------------------
+// Go To Definition
+// ------------------------------
+
+connection.onDefinition((params) => {
+
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);  
+  if (!doc) return null;
+
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if ( !analysis ) return null;
+
+  const fullTokens = analysis.tokens;
+  if ( !fullTokens ) return null;
+
+  // Bezeichner bevorzugt über den AST bestimmen
+  const offset = doc.offsetAt(params.position);
+  const node = analysis.ast ? findNodeAt(analysis.ast, uri, offset) : null;
+  const targetToken = node && node.type === 'Name' ? node.token : findTokenAt(fullTokens, uri, offset);
+  if (!targetToken) return null;
+
+  // Makro: zur #define-Zeile bzw. zum Eintrag in pearl.macros
+  const macroToken = findTokenAt(fullTokens, uri, offset);
+  if (macroToken && macroToken.macroName !== undefined) {
+    const reference = macroReferenceAt(macroToken, offset, analysis.defines);
+    if (!reference && macroToken.valueStartOffset !== undefined && offset >= macroToken.valueStartOffset) {
+      return null;
+    }
+    return macroDefinitionLocation(reference || macroToken, uri);
+  }
+
+  // Kein GoTo in Kommentaren, Strings, Bitstrings, Zahlen, keyword
+  if ( targetToken.type !== 'identifier' ) {
+    return null;
+  }
+
+  // SPC ... GLOBAL: zur GLOBAL-Definition im implementierenden Modul springen
+  const specification = getSymbolForToken(targetToken);
+  if (isGlobalSpecification(specification)) {
+    const globalDefinitions = findGlobalDefinitions(specification.nameToken.value);
+    if (globalDefinitions.length > 0) {
+      return globalDefinitions.map(entry => ({ uri: entry.uri, range: entry.range }));
+    }
+  }
+
+  const definition = targetToken.definition;
+
+  if (definition) {
+    return getNameTokenLocation(definition.nameToken);
+  }
+
+  return null;
+});
+
+function getNameTokenLocation(nameToken) {
+  const definitionDoc = documentRegistry.get(nameToken.uri);
+  if (!definitionDoc) return null;
+
+  const startPos = definitionDoc.positionAt( nameToken.startOffset );
+  const endPos = definitionDoc.positionAt( nameToken.endOffset );
+
+  return {
+    uri: nameToken.uri,
+    range: {
+      start: startPos,
+      end: endPos
+    }
+  };
+}
+
+// Makros aus pearl.macros: Eintrag in .vscode/settings.json des Workspace-Ordners
+function findMacroSettingLocation(name, docUri) {
+  const folder = getWorkspaceFolderForUri(docUri);
+  const folders = folder
+    ? [folder, ...getIndexedWorkspaceFolders().filter(f => f.uri !== folder.uri)]
+    : getIndexedWorkspaceFolders();
+
+  for (const f of folders) {
+    const settingsUri = uriFromFilePath(path.join(filePathFromUri(f.uri), '.vscode', 'settings.json'));
+    const doc = documentRegistry.get(settingsUri);
+    if (!doc) continue;
+
+    // Schlüssel nur innerhalb des Objekts "pearl.macros": { ... } suchen
+    const text = doc.getText();
+    const sectionOffset = text.indexOf('"pearl.macros"');
+    if (sectionOffset < 0) continue;
+    const objectEnd = text.indexOf('}', sectionOffset);
+    const keyOffset = text.indexOf(`"${name}"`, sectionOffset + '"pearl.macros"'.length);
+    if (keyOffset < 0 || (objectEnd >= 0 && keyOffset > objectEnd)) continue;
+
+    return {
+      uri: settingsUri,
+      range: { start: doc.positionAt(keyOffset + 1), end: doc.positionAt(keyOffset + 1 + name.length) }
+    };
+  }
+  return null;
+}
+
+function macroDefinitionLocation(macroToken, docUri) {
+  const define = macroToken.macroDefinition;
+  if (!define) return null;
+  if (define.definition) return getNameTokenLocation(define.definition);
+  if (define.setting) return findMacroSettingLocation(macroToken.macroName, docUri);
+  return null;
+}
+
+// ------------------------------
+// Go To Declaration
+// ------------------------------
+
+connection.onDeclaration((params) => {
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);
+  if (!doc) return null;
+
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if ( !analysis ) return null;
+
+  const targetToken = findTokenAt(analysis.tokens, uri, doc.offsetAt(params.position));
+  const identifier = getSymbolForToken(targetToken);
+  if (!identifier) return null;
+
+  // SPC vor der Implementierung im selben Modul bzw. SPC ... GLOBAL selbst
+  const declaration = identifier.specification || identifier;
+  return getNameTokenLocation(declaration.nameToken);
+});
+
+// ------------------------------
+// Document Links (#include)
+// ------------------------------
+
+// Anzahl Zeilen der Include-Datei in der Hover-Vorschau
+const INCLUDE_PREVIEW_LINES = 10;
+
+/**
+ * #include-Einträge (aus tokenize(), Makros bereits ersetzt) eines Dokuments
+ */
+function getIncludeEntries(tokens, uri) {
+  return tokens
+    .filter(t => t.uri === uri && t.includes)
+    .flatMap(t => t.includes);
+}
+
+/**
+ * Hover über der Pfadangabe eines #include: aufgelöster Pfad und Anfang der Datei
+ */
+function includeHover(entry) {
+  if (!entry.uri) {
+    return `Include-Datei **${escapeMarkdown(entry.path)}** nicht gefunden.`;
+  }
+  const includeDoc = documentRegistry.get(entry.uri);
+  const lines = includeDoc ? includeDoc.getText().split(/\r?\n|\r/) : [];
+  const preview = lines.slice(0, INCLUDE_PREVIEW_LINES).join('\n');
+  const more = lines.length > INCLUDE_PREVIEW_LINES ? '\n\n…' : '';
+  return `\`${entry.fsPath}\`\n\n\`\`\`pearl\n${preview}\n\`\`\`${more}`;
+}
+
+connection.onDocumentLinks(async (params) => {
+  const doc = documentRegistry.get(params.textDocument.uri);
+  if (!doc) return [];
+
+  const analysis = await getCurrentAnalysis(doc);
+  return getIncludeEntries(analysis.tokens, doc.uri)
+    .filter(entry => entry.uri)
+    .map(entry => ({
+      range: {
+        start: doc.positionAt(entry.startOffset),
+        end: doc.positionAt(entry.endOffset)
+      },
+      target: entry.uri,
+      tooltip: entry.fsPath
+    }));
+});
+
+// ------------------------------
+// Präprozessor-Ausgabe (pearl-preprocessed:)
+// ------------------------------
+
+// Tokens nach einer Makroexpansion ohne Leerzeichen davor bzw. danach
+const NO_SPACE_BEFORE = [')', ',', ';', '.', ':'];
+const NO_SPACE_AFTER = ['('];
+
+/**
+ * Quelltext, wie ihn der Compiler nach dem Präprozessor sieht: ohne Präprozessorzeilen
+ * und inaktive Bereiche, Makros ersetzt, Include-Dateien eingefügt. Abstände und
+ * Zeilenumbrüche folgen dem Original.
+ * segments: Herkunft jedes Tokens der Ausgabe
+ *   { range (Ausgabe), uri, sourceRange (Original), macro (Name bei Makroexpansion) }
+ */
+function buildPreprocessedSource(tokens) {
+  const sourceDocs = new Map();
+  const sourceDoc = (uri) => {
+    if (!sourceDocs.has(uri)) sourceDocs.set(uri, documentRegistry.get(uri));
+    return sourceDocs.get(uri);
+  };
+
+  let text = '';
+  let line = 0;
+  let character = 0;
+  const segments = [];
+  let previous = null;
+
+  function append(value) {
+    const lines = value.split(/\r\n|\r|\n/);
+    text += lines.join('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      character = 0;
+    }
+    character += lines[lines.length - 1].length;
+  }
+
+  for (const t of tokens) {
+    if (t.type === 'inactive' || t.type === 'preproc' || (t.type === 'error' && t.value.startsWith('#'))) {
+      continue;
+    }
+    const doc = sourceDoc(t.uri);
+    if (!doc) continue;
+    const source = doc.getText();
+    const start = doc.positionAt(t.startOffset);
+
+    if (previous) {
+      const previousDoc = sourceDoc(previous.uri);
+      const previousEnd = previousDoc.positionAt(previous.endOffset);
+      const sameExpansion = previous.macro && t.macro && previous.startOffset === t.startOffset;
+      // neue Zeile auch, wenn dieselbe Datei erneut eingefügt wird
+      if (previous.uri !== t.uri || previousEnd.line !== start.line || (!sameExpansion && t.startOffset < previous.endOffset)) {
+        append('\n');
+        previous = null;
+      }
+      else if (sameExpansion) {
+        // innerhalb derselben Makroexpansion
+        if (!NO_SPACE_BEFORE.includes(t.value) && !NO_SPACE_AFTER.includes(previous.value)) {
+          append(' ');
+        }
+      }
+      else {
+        const gap = source.slice(previous.endOffset, t.startOffset);
+        append(/^[ \t]*$/.test(gap) ? gap : ' ');
+      }
+    }
+    if (!previous) {
+      // Einrückung der Originalzeile übernehmen
+      const indentation = source.slice(t.startOffset - start.character, t.startOffset);
+      append(/^[ \t]*$/.test(indentation) ? indentation : '');
+    }
+
+    const outputStart = { line, character };
+    append(t.macro ? t.value : source.slice(t.startOffset, t.endOffset));
+    segments.push({
+      range: { start: outputStart, end: { line, character } },
+      uri: t.uri,
+      sourceRange: { start, end: doc.positionAt(t.endOffset) },
+      macro: t.macro || null
+    });
+    previous = t;
+  }
+
+  return { text: text + '\n', segments };
+}
+
+connection.onRequest('pearl/preprocessedSource', async (params) => {
+  const doc = documentRegistry.get(params.uri);
+  if (!doc) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `Dokument ${params.uri} nicht gefunden.`);
+  }
+  const analysis = await getCurrentAnalysis(doc);
+  return buildPreprocessedSource(analysis.tokens);
+});
+
+// ------------------------------
+// References
+// ------------------------------
+
+/**
+ * Eindeutiger Schlüssel eines Symbols über Analysen hinweg
+ * (Deklarationsstelle: URI + Offset des Namens).
+ */
+function getSymbolKey(identifier) {
+  const nameToken = identifier.nameToken;
+  return `${nameToken.uri}#${nameToken.startOffset}`;
+}
+
+/**
+ * Symbol zu einem Token: Verwendung (definition) oder Deklarationsstelle (declaration).
+ */
+function getSymbolForToken(token) {
+  if (!token || token.type !== 'identifier') return undefined;
+  return token.definition || token.declaration;
+}
+
+/**
+ * Schlüssel aller Einträge, die zum selben Symbol gehören
+ * (SPC und zugehörige PROC/TASK-Implementierung).
+ */
+function getSymbolKeys(identifier) {
+  const keys = new Set([ getSymbolKey(identifier) ]);
+  if (identifier.specification) keys.add(getSymbolKey(identifier.specification));
+  if (identifier.implementation) keys.add(getSymbolKey(identifier.implementation));
+  return keys;
+}
+
+/**
+ * Alle Tokens, die ein Symbol verwenden (und optional deklarieren), in allen
+ * analysierten Dokumenten inkl. der dort eingebundenen Include-Dateien.
+ */
+function findReferenceTokens(identifier, includeDeclaration) {
+  const keys = getSymbolKeys(identifier);
+  const seen = new Set();
+  const result = [];
+
+  for (const analysis of documentTokenCache.values()) {
+    for (const t of analysis.tokens) {
+      if (t.type !== 'identifier') continue;
+
+      const isUse = t.definition && t.definition.nameToken && keys.has(getSymbolKey(t.definition));
+      const isDecl = includeDeclaration && t.declaration && keys.has(getSymbolKey(t.declaration));
+      if (!isUse && !isDecl) continue;
+
+      const key = `${t.uri}#${t.startOffset}#${t.endOffset}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.push(t);
+    }
+  }
+
+  return result;
+}
+
+function findReferences(identifier, includeDeclaration) {
+  const locations = [];
+  for (const t of findReferenceTokens(identifier, includeDeclaration)) {
+    const doc = documentRegistry.get(t.uri);
+    if (!doc) continue;
+
+    locations.push({
+      uri: t.uri,
+      range: {
+        start: doc.positionAt(t.startOffset),
+        end: doc.positionAt(t.endOffset)
+      }
+    });
+  }
+  return locations;
+}
+
+connection.onReferences((params) => {
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);
+  if (!doc) return null;
+
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if ( !analysis ) return null;
+
+  const targetToken = findTokenAt(analysis.tokens, uri, doc.offsetAt(params.position));
+  const identifier = getSymbolForToken(targetToken);
+  if (!identifier) return null;
+
+  return findReferences(identifier, params.context && params.context.includeDeclaration);
+});
+
+// ------------------------------
+// Document Symbols (Outline)
+// ------------------------------
+
+/**
+ * SymbolKind für Einträge der Dokumentstruktur aus der Typbeschreibung.
+ */
+function getOutlineSymbolKind(typeDescription) {
+  if (typeDescription.ref) {
+    return SymbolKind.Variable;   // REF PROC/REF TASK sind Variablen
+  }
+  switch (typeDescription.typename) {
+    case 'PROC':
+    case 'PROCEDURE':
+      return SymbolKind.Function;
+    case 'TASK':
+      return SymbolKind.Class;    // wie bei den semantischen Tokens
+    case 'SEMA':
+    case 'BOLT':
+      return SymbolKind.Property; // wie bei den semantischen Tokens
+    case 'DATION':
+      return SymbolKind.File;
+    case 'INTERRUPT':
+    case 'INTRPT':
+      return SymbolKind.Event;
+    case 'TYPE':
+      return SymbolKind.Struct;
+  }
+  return typeDescription.inv ? SymbolKind.Constant : SymbolKind.Variable;
+}
+
+function toDocumentSymbols(nodes, doc) {
+  const result = [];
+  for (const node of nodes) {
+    if (node.uri !== doc.uri || !node.name) continue;   // Einträge aus Include-Dateien weglassen
+
+    const range = {
+      start: doc.positionAt(node.startOffset),
+      end: doc.positionAt(Math.max(node.endOffset, node.selectionEndOffset))
+    };
+    result.push({
+      name: node.name,
+      detail: node.detail,
+      kind: node.kind,
+      range,
+      selectionRange: {
+        start: doc.positionAt(node.selectionStartOffset),
+        end: doc.positionAt(node.selectionEndOffset)
+      },
+      children: toDocumentSymbols(node.children, doc)
+    });
+  }
+  return result;
+}
+
+connection.onDocumentSymbol((params) => {
+  const uri = params.textDocument.uri;
+  const doc = documentRegistry.get(uri);
+  if (!doc) return [];
+
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if ( !analysis || !analysis.outline ) return [];
+
+  return toDocumentSymbols(analysis.outline, doc);
+});
+
+// ------------------------------
+// Workspace Symbols
+// ------------------------------
+
+connection.onWorkspaceSymbol((params) => {
+  return workspaceIndex.query(params.query).map(entry => ({
+    name: entry.name,
+    kind: getOutlineSymbolKind(entry.typeDescription),
+    location: {
+      uri: entry.uri,
+      range: entry.range
+    },
+    containerName: entry.containerName
+  }));
+});
+
+// ------------------------------
+// Rename
+// ------------------------------
+
+function isReservedName(name, dialect) {
+  const upperName = name.toUpperCase();
+  return dialect.keywords.has(upperName)
+    || dialect.types.has(upperName)
+    || dialect.operators.has(upperName);
+}
+
+/**
+ * Prüft, ob das Token an der Position umbenannt werden darf.
+ * Liefert { token, identifier } oder eine ResponseError mit Begründung.
+ */
+function getRenameTarget(uri, position) {
+  const doc = documentRegistry.get(uri);
+  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
+  if (!doc || !analysis) {
+    return new ResponseError(ErrorCodes.InvalidRequest, 'Dokument ist noch nicht analysiert.');
+  }
+
+  const token = findTokenAt(analysis.tokens, uri, doc.offsetAt(position));
+  if (!token) {
+    return new ResponseError(ErrorCodes.InvalidRequest, 'Kein Bezeichner an dieser Position.');
+  }
+  if (token.macro) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `${token.value} stammt aus Makro ${token.macro} und kann nicht umbenannt werden.`);
+  }
+  if (token.type === 'preproc') {
+    return new ResponseError(ErrorCodes.InvalidRequest, 'Makros und Präprozessoranweisungen können nicht umbenannt werden.');
+  }
+  if (token.type === 'keyword' || token.type === 'type' || token.type === 'operator') {
+    return new ResponseError(ErrorCodes.InvalidRequest, `Schlüsselwort ${token.value} kann nicht umbenannt werden.`);
+  }
+  if (token.builtin || BUILTIN_PROCS[token.value]) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `Vordefinierte Prozedur ${token.value} kann nicht umbenannt werden.`);
+  }
 
-      if (next && next.token.type === 'symbol' && next.token.value === ';') {
-        i = next.index;
-      }
-      else {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, next.token);
-      }
+  const identifier = getSymbolForToken(token);
+  if (!identifier) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `${token.value} ist kein auflösbarer Bezeichner.`);
+  }
+  // GLOBAL-Namen binden Module aneinander; umbenannt würden nur die hier analysierten Stellen
+  if ([identifier, identifier.specification, identifier.implementation]
+      .some(entry => entry && entry.typeDescription && entry.typeDescription.global)) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `${token.value} ist GLOBAL und kann nicht umbenannt werden, ohne die Bindung an andere Module zu trennen.`);
+  }
 
-      continue;
-    }
+  return { token, identifier, analysis };
+}
 
-    // SEMA-Operationen
-    if (kw==='SEMASET') {
-      const value = findNextCodeToken(tokens, i);
-      const comma = findNextCodeToken(tokens, value.index);
-      const sema = findNextCodeToken(tokens, comma.index);
-      const semicolon = findNextCodeToken(tokens, sema.index);
-      const nextSemicolon = findNextSemicolonToken(tokens, i);
+/**
+ * Scope-Tabelle, in der das Symbol (oder seine SPC/Implementierung) eingetragen ist.
+ */
+function findScopeOfSymbol(scopes, identifier) {
+  const name = identifier.nameToken.value;
+  return scopes.find(scope => {
+    const entry = scope[name];
+    return entry
+      && (entry === identifier || entry === identifier.specification || entry === identifier.implementation);
+  });
+}
 
-      if (value && value.token.type !== 'number') {
-        addDiagnosticError(`SEMASET Preset-Wert ist ungültig.`, value.token);
-      }
-      if (comma && comma.token.type !== 'symbol' && comma.token.value !== ',') {
-        addDiagnosticError(`SEMASET Komma erwartet.`,comma.token);
-      }
-      if (sema && sema.token.type === 'identifier') {
-        const name = sema.token.value;
-        const sym = lookupSymbol(scopeStack, name, 'SEMA');
-        if (sym) {
-          sema.token.definition = sym;
-          sym.used = true;
-        }
-        else {
-          addDiagnosticError(`SEMA '${name}' wird mit ${kw} verwendet, es existiert aber keine SEMA-Deklaration (DCL/SPC SEMA).`, sema.token);
-        }
-      }
-      if (semicolon && (!nextSemicolon || nextSemicolon.index !== semicolon.index) ) {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, semicolon.token);
-      }
-      if ( semicolon )
-        i = semicolon.index;
-      continue;
+/**
+ * Sucht eine Stelle, an der der neue Name ein anderes Symbol träfe: eine Verwendung des
+ * umbenannten Symbols, an der newName bereits sichtbar ist, oder eine Verwendung eines
+ * anderen Bezeichners newName, die das umbenannte Symbol verdecken würde.
+ * Liefert eine Fehlermeldung oder null.
+ */
+function findRenameConflict(identifier, newName, referenceTokens) {
+  const keys = getSymbolKeys(identifier);
+  const oldName = identifier.nameToken.value;
+  const isRenamed = entry => entry && entry.nameToken && keys.has(getSymbolKey(entry));
+
+  // Worauf sich newName nach dem Umbenennen mit diesen Scopes bezieht (innerster zuerst)
+  function lookupAfterRename(scopeStack) {
+    for (let i = scopeStack.length - 1; i >= 0; i--) {
+      if (isRenamed(scopeStack[i][oldName])) return identifier;
+      if (scopeStack[i][newName]) return scopeStack[i][newName];
     }
+    return null;
+  }
 
-    // ... REQUEST/RELEASE
-    if (SEMA_OP_KEYWORDS.includes(kw)) {
-      const sema = findNextCodeToken(tokens, i);
-      const semicolon = findNextCodeToken(tokens, sema.index);
-      const nextSemicolon = findNextSemicolonToken(tokens, i);
-      if (sema && sema.token.type === 'identifier') {
-        const name = sema.token.value;
-        const sym = lookupSymbol(scopeStack, name, 'SEMA');
-        if (sym) {
-          sema.token.definition = sym;
-          sym.used = true;
-        }
-        else {
-          addDiagnosticError(`SEMA '${name}' wird mit ${kw} verwendet, es existiert aber keine SEMA-Deklaration (DCL/SPC SEMA).`, sema.token);
-        }
-      }
-      if (semicolon && (!nextSemicolon || nextSemicolon.index !== semicolon.index) ) {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, semicolon.token);
-      }
-      if ( semicolon )
-        i = semicolon.index;
-      continue;
+  function describe(token) {
+    const doc = documentRegistry.get(token.uri);
+    const line = doc ? doc.positionAt(token.startOffset).line + 1 : '?';
+    return `${path.basename(filePathFromUri(token.uri))}, Zeile ${line}`;
+  }
+
+  for (const t of referenceTokens) {
+    if (!t.scopeStack) continue;
+    const entry = lookupAfterRename(t.scopeStack);
+    if (entry && !isRenamed(entry)) {
+      return `${newName} bezeichnet an der Verwendung von ${oldName} (${describe(t)}) bereits einen anderen Bezeichner.`;
     }
+  }
 
-    // BOLT-Operationen
-    if (BOLT_OP_KEYWORDS.includes(kw)) {
-      const bolt = findNextCodeToken(tokens, i);
-      const semicolon = findNextCodeToken(tokens, bolt.index);
-      const nextSemicolon = findNextSemicolonToken(tokens, i);
-      if (bolt && bolt.token.type === 'identifier') {
-        const name = bolt.token.value;
-        const sym = lookupSymbol(scopeStack, name, 'BOLT');
-        if (sym) {
-          bolt.token.definition = sym;
-          sym.used = true;
-        }
-        else {
-          addDiagnosticError(`BOLT '${name}' wird mit ${kw} verwendet, es existiert aber keine BOLT-Deklaration (DCL/SPC BOLT).`, bolt.token);
-        }
-      }
-      if (semicolon && (!nextSemicolon || nextSemicolon.index !== semicolon.index) ) {
-        addDiagnosticError(`${kw} Semikolon erwartet.`, semicolon.token);
+  for (const analysis of documentTokenCache.values()) {
+    for (const t of analysis.tokens) {
+      if (t.type !== 'identifier' || t.value !== newName || !t.definition || !t.scopeStack) continue;
+      if (isRenamed(t.definition)) continue;
+      if (lookupAfterRename(t.scopeStack) === identifier) {
+        return `${oldName} würde als ${newName} die Verwendung von ${newName} (${describe(t)}) verdecken.`;
       }
-      if ( semicolon )
-        i = semicolon.index;
-      continue;
     }
   }
 
-  // unbenutze globale Variablen suchen
-  if (!modendFound) {
-//    connection.console.log( 'globale unbenutzte Variablen: -------');
-    markUnusedVariables();
-  }
+  return null;
+}
 
-  // Offene Blöcke am Ende melden (nur bei vollständiger Analyse)
-  for (const open of blockStack) {
-    const t = open.token;
-    const endKw = BLOCK_END_MAP[open.keyword] || 'END';
-    addDiagnosticError(`Block '${open.keyword}' wird nicht geschlossen. Erwartet ${endKw}.`,t );
-  }
+connection.onPrepareRename((params) => {
+  const target = getRenameTarget(params.textDocument.uri, params.position);
+  if (target instanceof ResponseError) return target;
 
+  const doc = documentRegistry.get(params.textDocument.uri);
   return {
-    tokens,
-    lineStartOffsets,
-    lineEndOffsets,
-    diagnostics,
-    scopeStack,
-    foldingRanges
+    range: {
+      start: doc.positionAt(target.token.startOffset),
+      end: doc.positionAt(target.token.endOffset)
+    },
+    placeholder: target.token.value
   };
-}
-
-// ------------------------------
-// Diagnostics
-// ------------------------------
+});
 
-async function validateTextDocument(textDocument) {
-  const settings = await getDocumentSettings(textDocument.uri);
-  
-connection.console.log('[pearl] settings = ' + JSON.stringify(settings));
+connection.onRenameRequest((params) => {
+  const target = getRenameTarget(params.textDocument.uri, params.position);
+  if (target instanceof ResponseError) return target;
 
-  const text = textDocument.getText();
-  const analysis = analyze(textDocument.uri, text, settings, {});
-  documentTokenCache.set( textDocument.uri, analysis );    // für onDefinition & Co. cachen
-  connection.sendDiagnostics({
-    uri: textDocument.uri,
-    diagnostics: analysis.diagnostics
-  });
-}
+  const newName = params.newName;
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(newName)) {
+    return new ResponseError(ErrorCodes.InvalidParams, `${newName} ist kein gültiger PEARL-Bezeichner.`);
+  }
+  if (isReservedName(newName, target.analysis.dialect)) {
+    return new ResponseError(ErrorCodes.InvalidParams, `${newName} ist ein PEARL-Schlüsselwort.`);
+  }
+  if (BUILTIN_PROCS[newName]) {
+    return new ResponseError(ErrorCodes.InvalidParams, `${newName} ist eine vordefinierte Prozedur.`);
+  }
+  if (target.analysis.defines.has(newName)) {
+    return new ResponseError(ErrorCodes.InvalidParams, `${newName} ist als Makro definiert.`);
+  }
 
-// ------------------------------
-// Hilfsfunktionen für DCL/SPC
-// ------------------------------
+  const scope = findScopeOfSymbol(target.analysis.scopes, target.identifier);
+  if (scope && scope[newName]) {
+    return new ResponseError(ErrorCodes.InvalidParams, `Bezeichner ${newName} existiert bereits im selben Gültigkeitsbereich.`);
+  }
 
-function logIdentifier( identifier, msg = '' ) {
-  const nameToken = identifier.nameToken;
-  const typeTokens = identifier.typeTokens;
-  let typeString = ' ';
-  for (const idType of typeTokens) {
-    typeString += idType.value + ' ';
+  const tokens = findReferenceTokens(target.identifier, true);
+  const macroToken = tokens.find(t => t.macro);
+  if (macroToken) {
+    return new ResponseError(ErrorCodes.InvalidRequest, `${target.token.value} wird über Makro ${macroToken.macro} verwendet und kann nicht umbenannt werden.`);
   }
-  const td = identifier.typeDescription;          
-  connection.console.log(`${msg} value: ${nameToken.value} typeString: ${typeString}; dim: ${td.dim} inv: ${td.inv}, ref: ${td.ref}, typename: ${td.typename} global: ${td.global}, init: ${td.init}`);
-}
 
-// ------------------------------
-// Completion
-// ------------------------------
+  const conflict = findRenameConflict(target.identifier, newName, tokens);
+  if (conflict) {
+    return new ResponseError(ErrorCodes.InvalidParams, conflict);
+  }
 
-connection.onCompletion(() => {
-  return PEARL_KEYWORDS.map((kw) => ({
-    label: kw,
-    kind: CompletionItemKind.Keyword,
-    data: kw
-  }));
-});
+  const changes = {};
+  for (const t of tokens) {
+    const doc = documentRegistry.get(t.uri);
+    if (!doc) continue;
+    if (!changes[t.uri]) changes[t.uri] = [];
+    changes[t.uri].push({
+      range: {
+        start: doc.positionAt(t.startOffset),
+        end: doc.positionAt(t.endOffset)
+      },
+      newText: newName
+    });
+  }
 
-connection.onCompletionResolve((item) => {
-  item.detail = 'PEARL-Schlüsselwort';
-  item.documentation = `Dies ist das PEARL-Schlüsselwort \`${item.label}\`.`;
-  return item;
+  return { changes };
 });
 
 // ------------------------------
-// Hover
+// Formatierung
 // ------------------------------
 
-function escapeMarkdown(value) {
-  if (value === null || value === undefined) {
-    return '';
-  }
-  const text = String(value);
-  return text.replace(/[\\`*_{}[\]()#+\-.!]/g, '\\$&');
+// Schlüsselwörter, die am Zeilenanfang eine Ebene weniger eingerückt werden als ihr Block
+const FORMAT_DEDENT_KEYWORDS = ['THEN', 'ELSE', 'ALT', 'OUT'];
+
+function getFormatSettings(settings, options) {
+  const format = { ...defaultSettings.format, ...((settings && settings.format) || {}) };
+  const indentSize = Number.isInteger(format.indentSize) && format.indentSize >= 0
+    ? format.indentSize
+    : defaultSettings.format.indentSize;
+  return {
+    indentUnit: options && options.insertSpaces === false ? '\t' : ' '.repeat(indentSize),
+    keywordCase: format.keywordCase
+  };
 }
 
-connection.onHover((params) => {
-  const analysis = documentTokenCache.get( params.textDocument.uri );    // Aus dem Cache holen
-  if ( !analysis ) return null;
+/**
+ * Token aus dem Quelltext, das formatiert werden darf
+ * (keine Kommentare, inaktiven Bereiche, Präprozessorzeilen oder Makro-Expansionen)
+ */
+function isFormattableToken(t) {
+  if (t.macro) return false;
+  if (t.type === 'comment' || t.type === 'inactive' || t.type === 'error') return false;
+  if (t.type === 'preproc' && t.define === undefined) return false;
+  return true;
+}
 
-  const fullTokens = analysis.tokens;
-  if ( !fullTokens ) return null;
+/**
+ * Gewünschter Abstand zwischen zwei Tokens einer Zeile, null = unverändert
+ */
+function getFormatSpacing(previous, next) {
+  if (next.type === 'symbol' && (next.value === ',' || next.value === ';')) return '';
+  if (previous.type === 'symbol' && previous.value === ',') return ' ';
+  if ((previous.type === 'symbol' && previous.value === ':=') || (next.type === 'symbol' && next.value === ':=')) return ' ';
+  return null;
+}
 
-  const doc = documentRegistry.get(params.textDocument.uri);
-  if (!doc) return null;
+/**
+ * Berechnet die Textänderungen für die Formatierung eines Dokuments:
+ * Einrückung nach Blocktiefe, Abstände um ':=', ',' und ';' sowie Schreibweise der Schlüsselwörter.
+ */
+function computeFormattingEdits(doc, analysis, formatSettings) {
+  const uri = doc.uri;
+  const text = doc.getText();
+  const tokens = analysis.tokens.filter(t => t.uri === uri);
+  const edits = [];
+
+  function addEdit(startOffset, endOffset, newText) {
+    if (text.slice(startOffset, endOffset) === newText) return;
+    edits.push({
+      range: { start: doc.positionAt(startOffset), end: doc.positionAt(endOffset) },
+      newText
+    });
+  }
 
-  const targetToken = findTokenAt(fullTokens, params.textDocument.uri, doc.offsetAt(params.position));
-  if (!targetToken) return null;
+  // ---------------- Einrückung ----------------
+  // MODULE und SYSTEM/PROBLEM rücken nicht ein
+  const blockStack = [];
+  let statementStart = true;        // nächstes Token beginnt eine Anweisung
+  let labelCandidate = null;        // Bezeichner am Anweisungsanfang (evtl. Label)
+  let previousLabelColon = false;
+  let altParenLevel = -1;           // Klammerebene im Kopf von ALT (...)
+  let lastLine = -1;
 
-  // Test----
-  if ( targetToken.define ) {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `#define **${escapeMarkdown(targetToken.value)}** "${escapeMarkdown(targetToken.define)}"`
+  const indentDepth = () => blockStack.filter(block => block.indent).length;
+  const closesTopBlock = (kw) => blockStack.length > 0
+    && (END_KEYWORD_MAP[kw] || []).includes(blockStack[blockStack.length - 1].keyword);
+
+  for (const t of tokens) {
+    // Einrückung der Zeile anhand ihres ersten Tokens
+    if (!t.macro) {
+      const line = doc.positionAt(t.startOffset).line;
+      if (line !== lastLine) {
+        lastLine = line;
+        const lineStart = doc.offsetAt({ line, character: 0 });
+        const isPreprocessorLine = t.type === 'inactive' || (t.type === 'preproc' && t.define === undefined);
+
+        // Fortsetzungszeilen mehrzeiliger Kommentare haben kein eigenes erstes Token
+        if (!isPreprocessorLine && /^[ \t]*$/.test(text.slice(lineStart, t.startOffset))) {
+          let level = indentDepth();
+          if (t.type === 'keyword' && ['END', 'FIN', 'MODEND'].includes(t.value)) {
+            if (closesTopBlock(t.value) && blockStack[blockStack.length - 1].indent) level--;
+          }
+          else if (t.type === 'keyword' && FORMAT_DEDENT_KEYWORDS.includes(t.value)) {
+            if (blockStack.length > 0 && ['IF', 'CASE'].includes(blockStack[blockStack.length - 1].keyword)) level--;
+          }
+          else if (!statementStart && !(t.type === 'keyword' && t.value === 'REPEAT')) {
+            level++;    // Fortsetzung einer Anweisung
+          }
+          addEdit(lineStart, t.startOffset, formatSettings.indentUnit.repeat(Math.max(0, level)));
+        }
       }
-    };
-  }
-  else if ( targetToken.definition ) {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `Token: ${escapeMarkdown(targetToken.type)}: **${escapeMarkdown(targetToken.value)}** at offset **${escapeMarkdown(targetToken.startOffset)}** defined at ${escapeMarkdown(targetToken.definition.nameToken.startOffset)} in ${escapeMarkdown(targetToken.definition.nameToken.uri)} as ${escapeMarkdown(JSON.stringify( targetToken.definition.typeDescription))}`
+    }
+
+    // Blockstruktur (inkl. Makro-Expansionen)
+    if (t.type === 'comment' || t.type === 'inactive' || t.type === 'preproc' || t.type === 'error') continue;
+
+    const wasStatementStart = statementStart;
+    const afterLabelColon = previousLabelColon;
+    statementStart = false;
+    previousLabelColon = false;
+
+    if (t.type === 'keyword') {
+      switch (t.value) {
+        case 'MODULE':
+        case 'SHELLMODULE':
+          blockStack.push({ keyword: t.value, indent: false });
+          break;
+        case 'TASK':
+        case 'PROC':
+        case 'PROCEDURE':
+          // Blockstart nur als Definition "name: PROC ..."
+          if (afterLabelColon) blockStack.push({ keyword: t.value, indent: true });
+          break;
+        case 'BEGIN':
+        case 'REPEAT':
+        case 'IF':
+        case 'CASE':
+          blockStack.push({ keyword: t.value, indent: true });
+          break;
+        case 'END':
+        case 'FIN':
+        case 'MODEND':
+          if (closesTopBlock(t.value)) blockStack.pop();
+          break;
+        case 'ALT':
+          altParenLevel = 0;
+          break;
       }
-    };
-  }
-  else if ( targetToken.builtin ) {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `**${escapeMarkdown(targetToken.value)}**: ${escapeMarkdown(targetToken.builtin.signature)}: *${escapeMarkdown(targetToken.builtin.notes)}*`
+      if (STATEMENT_START_KEYWORDS.includes(t.value)) statementStart = true;
+    }
+    else if (t.type === 'symbol') {
+      if (t.value === ';') {
+        statementStart = true;
       }
-    };
-  }
-  else {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `Token: ${escapeMarkdown(targetToken.type)}: **${escapeMarkdown(targetToken.value)}** at offset **${escapeMarkdown(targetToken.startOffset)}**: ${escapeMarkdown(JSON.stringify(targetToken))}`
+      else if (t.value === ':' && labelCandidate) {
+        statementStart = true;
+        previousLabelColon = true;
       }
-    };
-  }
-  // Test----
+      else if (altParenLevel >= 0 && t.value === '(') {
+        altParenLevel++;
+      }
+      else if (altParenLevel > 0 && t.value === ')') {
+        if (--altParenLevel === 0) {
+          altParenLevel = -1;
+          statementStart = true;
+        }
+      }
+    }
 
-  // Keine Hoverinfos in Kommentaren, Strings, Bitstrings, Zahlen
-  if (targetToken.type === 'comment' || targetToken.type === 'inactive' || targetToken.type === 'string' || targetToken.type === 'bitstring' || targetToken.type === 'number') {
-    return null;
+    labelCandidate = wasStatementStart && t.type === 'identifier' ? t : null;
   }
 
-  if (targetToken.type === 'keyword' && PEARL_KEYWORDS.includes(targetToken.value)) {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `**${escapeMarkdown(targetToken.value)}** ist ein PEARL-Schlüsselwort.`
+  // ---------------- Abstände und Schlüsselwörter ----------------
+  const sourceTokens = tokens.filter(t => !t.macro);
+  for (let i = 0; i < sourceTokens.length; i++) {
+    const t = sourceTokens[i];
+    if (!isFormattableToken(t)) continue;
+
+    const previous = sourceTokens[i - 1];
+    if (previous && isFormattableToken(previous)) {
+      const gap = text.slice(previous.endOffset, t.startOffset);
+      const spacing = getFormatSpacing(previous, t);
+      if (spacing !== null && /^[ \t]*$/.test(gap)) {
+        addEdit(previous.endOffset, t.startOffset, spacing);
       }
-    };
-  }
+    }
 
-  if (targetToken.type === 'identifier') {
-    return {
-      contents: {
-        kind: 'markdown',
-        value: `**${escapeMarkdown(targetToken.value)}** ist ein Identifier.`
-      }
-    };
+    const source = text.slice(t.startOffset, t.endOffset);
+    if (['keyword', 'type', 'operator'].includes(t.type) && /^[A-Za-z]+$/.test(source)) {
+      if (formatSettings.keywordCase === 'upper') addEdit(t.startOffset, t.endOffset, source.toUpperCase());
+    }
   }
 
-  return null;
+  return edits;
+}
+
+connection.onDocumentFormatting(async (params) => {
+  const doc = documentRegistry.get(params.textDocument.uri);
+  if (!doc) return [];
+
+  const settings = await getDocumentSettings(doc.uri);
+  const analysis = await getCurrentAnalysis(doc);
+  return computeFormattingEdits(doc, analysis, getFormatSettings(settings, params.options));
+});
+
+connection.onDocumentRangeFormatting(async (params) => {
+  const doc = documentRegistry.get(params.textDocument.uri);
+  if (!doc) return [];
+
+  const settings = await getDocumentSettings(doc.uri);
+  const analysis = await getCurrentAnalysis(doc);
+  const { start, end } = params.range;
+  const lastLine = end.character === 0 && end.line > start.line ? end.line - 1 : end.line;
+  return computeFormattingEdits(doc, analysis, getFormatSettings(settings, params.options))
+    .filter(edit => edit.range.start.line >= start.line && edit.range.end.line <= lastLine);
 });
 
 // ------------------------------
-// Go To Definition
+// On-Type-Formatierung
 // ------------------------------
 
-connection.onDefinition((params) => {
-
-  const uri = params.textDocument.uri;
-  const doc = documentRegistry.get(uri);  
-  if (!doc) return null;
+/**
+ * Leerraum am Anfang einer Zeile
+ */
+function getLineIndentation(doc, line) {
+  const lineText = doc.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } });
+  return /^[ \t]*/.exec(lineText)[0];
+}
 
-  const analysis = documentTokenCache.get( uri );    // Aus dem Cache holen
-  if ( !analysis ) return null;
+/**
+ * Schlüsselwort am Zeilenanfang (normalisiert auf Großbuchstaben), sonst null
+ */
+function getLineKeyword(doc, line, dialect) {
+  const lineText = doc.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } });
+  const match = /^[ \t]*([A-Za-z]+)\b/.exec(lineText);
+  if (!match) return null;
+  const word = match[1];
+  if (word !== word.toUpperCase() && word !== word.toLowerCase()) return null;
+  return dialect.keywords.has(word.toUpperCase()) ? word.toUpperCase() : null;
+}
 
-  const fullTokens = analysis.tokens;
-  if ( !fullTokens ) return null;
+/**
+ * Analyse bis zum ersten Zeichen der Zeile (offene Blöcke auf dem blockStack)
+ */
+function analyzeUpToLine(doc, settings, line) {
+  const stopOffset = doc.offsetAt({ line, character: getLineIndentation(doc, line).length });
+  return analyze(doc.uri, doc.getText(), settings, { stopOffset });
+}
 
-  const targetToken = findTokenAt(fullTokens, uri, doc.offsetAt(params.position));
-  if (!targetToken) return null;
+/**
+ * Einrückung einer Zeile, die mit END, FIN, MODEND oder ELSE beginnt:
+ * Spalte des zugehörigen Blockanfangs (null, wenn der Block nicht passt)
+ */
+function getClosingLineIndentation(doc, analysis, keyword, indentationOf) {
+  const open = analysis.blockStack[analysis.blockStack.length - 1];
+  if (!open || open.token.uri !== doc.uri || !END_KEYWORD_MAP[keyword].includes(open.keyword)) return null;
+  return indentationOf(doc.positionAt(open.token.startOffset).line);
+}
 
-  // Kein GoTo in Kommentaren, Strings, Bitstrings, Zahlen, keyword
-  if ( targetToken.type !== 'identifier' ) {
-    return null;
+/**
+ * Einrückung der Zeile nach THEN, ELSE, REPEAT, BEGIN, OUT, ALT (...) und "name: PROC/TASK ...;"
+ * (null, wenn kein Block geöffnet wurde)
+ */
+function getOpeningLineIndentation(doc, analysis, lineStartOffset, indentUnit, indentationOf) {
+  const tokens = analysis.tokens.filter(t => t.uri === doc.uri && t.endOffset <= lineStartOffset && isFormattableToken(t));
+  const previous = tokens[tokens.length - 1];
+  const open = analysis.blockStack[analysis.blockStack.length - 1];
+  if (!previous || !open || open.token.uri !== doc.uri) return null;
+
+  let opensBlock = false;
+  if (previous.type === 'keyword' && STATEMENT_START_KEYWORDS.includes(previous.value)) {
+    opensBlock = true;
+  }
+  else if (previous.type === 'symbol' && previous.value === ';' && ['TASK', 'PROC', 'PROCEDURE'].includes(open.keyword)) {
+    // Semikolon beendet den Kopf der TASK/PROC
+    opensBlock = !tokens.some(t => t.type === 'symbol' && t.value === ';'
+      && t.startOffset > open.token.startOffset && t.startOffset < previous.startOffset);
+  }
+  else if (previous.type === 'symbol' && previous.value === ')' && open.keyword === 'CASE') {
+    opensBlock = getLineKeyword(doc, doc.positionAt(previous.startOffset).line, analysis.dialect) === 'ALT';
   }
+  if (!opensBlock) return null;
 
-  const definition = targetToken.definition;
+  return indentationOf(doc.positionAt(open.token.startOffset).line) + indentUnit;
+}
 
-  if (definition) {
-    const nameToken = definition.nameToken;
-    const definitionDoc = documentRegistry.get(nameToken.uri);
-    if (!definitionDoc) return null;
+connection.onDocumentOnTypeFormatting(async (params) => {
+  const doc = documentRegistry.get(params.textDocument.uri);
+  if (!doc) return [];
+
+  const settings = await getDocumentSettings(doc.uri);
+  const { indentUnit } = getFormatSettings(settings, params.options);
+  const line = params.position.line;
+  const edits = [];
+  const changedIndentation = new Map();   // Zeile -> neue Einrückung
+  const indentationOf = (l) => changedIndentation.has(l) ? changedIndentation.get(l) : getLineIndentation(doc, l);
+
+  function setLineIndentation(targetLine, indentation) {
+    if (indentation === null) return;
+    changedIndentation.set(targetLine, indentation);
+    const current = getLineIndentation(doc, targetLine);
+    if (indentation === current) return;
+    edits.push({
+      range: { start: { line: targetLine, character: 0 }, end: { line: targetLine, character: current.length } },
+      newText: indentation
+    });
+  }
 
-    const startPos = definitionDoc.positionAt( nameToken.startOffset );
-    const endPos = definitionDoc.positionAt( nameToken.endOffset );
+  function indentClosingLine(targetLine) {
+    const keyword = getLineKeyword(doc, targetLine, getDialectProfile(settings.dialect));
+    if (!keyword || !END_KEYWORD_MAP[keyword]) return false;
+    const analysis = analyzeUpToLine(doc, settings, targetLine);
+    setLineIndentation(targetLine, getClosingLineIndentation(doc, analysis, keyword, indentationOf));
+    return true;
+  }
 
-    return {
-      uri: nameToken.uri,
-      range: {
-        start: startPos,
-        end: endPos
-      }
-    };
+  if (params.ch === ';') {
+    indentClosingLine(line);
+    return edits;
   }
 
-  return null;
+  // Zeilenumbruch: abgeschlossene Zeile ggf. ausrücken, neue Zeile einrücken
+  if (line === 0) return edits;
+  const previousLine = line - 1;
+  indentClosingLine(previousLine);
+
+  if (!indentClosingLine(line)) {
+    const analysis = analyzeUpToLine(doc, settings, line);
+    const indentation = getOpeningLineIndentation(doc, analysis, doc.offsetAt({ line, character: 0 }), indentUnit, indentationOf);
+    // ohne neuen Block der (evtl. ausgerückten) vorherigen Zeile folgen
+    setLineIndentation(line, indentation !== null ? indentation
+      : (changedIndentation.has(previousLine) ? changedIndentation.get(previousLine) : null));
+  }
+  return edits;
 });
 
 // ------------------------------
@@ -3013,13 +6385,25 @@ try {
     semanticTokens.push(lineDelta, charDelta, length, typeIndex, modifierBits);
   }  
 
-  const sortedTokens = tokens.filter(t => t.uri === uri && (t.type !== 'comment' && t.type !== 'inactive')).sort((a, b) =>
-    a.line === b.line
-      ? a.column - b.column
-      : a.line - b.line
-  );
+  // Makro-Expansionen liegen alle auf dem Makronamen und werden nicht einzeln ausgegeben
+  const sortedTokens = tokens.filter(t => t.uri === uri && t.type !== 'comment' && !t.macro)
+    .sort((a, b) => a.startOffset - b.startOffset);
 
   for (const t of sortedTokens) {
+    if (t.endOffset <= t.startOffset) continue;
+    const start = doc.positionAt(t.startOffset);
+    const length = t.endOffset - t.startOffset;
+
+    // Inaktive Zweige, übersprungene Reste von Präprozessorzeilen und Direktiven in
+    // inaktiven Bereichen; mehrzeilige Bereiche zeilenweise ausgeben
+    if (t.type === 'inactive' || t.inactive) {
+      doc.getText().slice(t.startOffset, t.endOffset).split(/\r\n|\r|\n/).forEach((part, i) => {
+        if (part.length > 0) {
+          encodeToken(start.line + i, i === 0 ? start.character : 0, part.length, 'comment', ['inactive']);
+        }
+      });
+      continue;
+    }
 //connection.console.log( `${t.type} ~${t.value}~ ${t.line} ${t.column} ${t.uri}`);
 
       /**
@@ -3029,11 +6413,10 @@ try {
        *         'symbol' | 'comment' | 'inactive' | 'error' | 'preproc',
        *   value: string,
        *   uri: string,
-       *   line: number,
-       *   column: number,
-       *   offset: number,
-       *   length: number
-       *   definition: identifier (optional)
+       *   startOffset: number,
+       *   endOffset: number,
+       *   definition: identifier (optional),
+       *   inactive: true bei Direktiven in inaktiven Bereichen (optional)
        * }
        */
 
@@ -3072,32 +6455,32 @@ try {
           break;
       }
 */
-      encodeToken(t.line, t.column, t.length, typeName, mods);
+      encodeToken(start.line, start.character, length, typeName, mods);
       continue;
     }
 
     if (t.type === 'type') {
-      encodeToken(t.line, t.column, t.length, 'type', []);
+      encodeToken(start.line, start.character, length, 'type', []);
       continue;
     }
 
     if (t.type === 'operator') {
-      encodeToken(t.line, t.column, t.length, 'operator', []);
+      encodeToken(start.line, start.character, length, 'operator', []);
       continue;
     }
 
     if (t.type === 'number') {
-      encodeToken(t.line, t.column, t.length, 'number', []);
+      encodeToken(start.line, start.character, length, 'number', []);
       continue;
     }
    
     if (t.type === 'string') {
-      encodeToken(t.line, t.column, t.length, 'string', []);
+      encodeToken(start.line, start.character, length, 'string', []);
       continue;
     }
 
     if (t.type === 'bitstring') {
-      encodeToken(t.line, t.column, t.length, 'string', []);
+      encodeToken(start.line, start.character, length, 'string', []);
       continue;
     }
   }
@@ -3125,6 +6508,12 @@ documents.onDidClose((event) => {
   connection.console.log( `onDidClose ${event.document.uri}` );
   documentTokenCache.delete(event.document.uri);  // Dokument aus Cache kegeln
   documentSettings.delete(event.document.uri);  
+
+  // Index wieder vom Dateisystem aufbauen (ungespeicherte Änderungen verwerfen)
+  workspaceIndex.delete(event.document.uri);
+  if (getWorkspaceFolderForUri(event.document.uri)) {
+    queueIndexFiles([event.document.uri]);
+  }
 });
 
 documents.onDidChangeContent((event) => {
@@ -3133,9 +6522,30 @@ documents.onDidChangeContent((event) => {
 });
 
 connection.onDidChangeWatchedFiles((event) => {
+  const changedUris = [];
+  let catalogueChanged = false;
   for (const change of event.changes) {
+    if (change.uri.endsWith(`/${WORKSPACE_BUILTINS_FILENAME}`)) {
+      catalogueChanged = true;
+      continue;
+    }
     documentRegistry.invalidateUri(change.uri);
     documentTokenCache.delete(change.uri);
+
+    if (change.type === FileChangeType.Deleted) {
+      workspaceIndex.delete(change.uri);
+    } else if (PEARL_FILE_PATTERN.test(change.uri)) {
+      changedUris.push(change.uri);
+    }
+  }
+  queueIndexFiles(changedUris);
+
+  if (catalogueChanged) {
+    loadBuiltinCatalogue();
+    documentTokenCache.clear();
+    documents.all().forEach((doc) => {
+      validateTextDocument(doc);
+    });
   }
 });
 
@@ -3154,6 +6564,7 @@ connection.onDidChangeConfiguration((event) => {
   documents.all().forEach((doc) => {
     validateTextDocument(doc);
   });
+  queueIndexFiles([...workspaceIndex.files.keys()]);
 });
 
 documents.listen(connection);